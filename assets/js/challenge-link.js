@@ -0,0 +1,104 @@
+/**
+ * challenge-link.js
+ * Challenge links describe a finished quiz in URL parameters - mode, difficulty, length, quiz
+ * code (seed), focus country and a few settings - together with the sender's score, so a friend
+ * opening the link gets the same question set and a score to beat. Parameters are read from the
+ * query string and the hash (the hash wins) and written to the hash, so no reload is needed.
+ * Starting something else (Play Again, another mode) takes them out again, so a reload does not
+ * bring back an old challenge.
+ */
+
+// Parameters owned by challenge links; anything else in the URL (e.g. ?dataUrl=) is left alone
+const CHALLENGE_PARAM_NAMES = ['mode', 'types', 'difficulty', 'path', 'length', 'seed', 'focus', 'region', 'ask', 'score', 'total'];
+// `path` lists the difficulty each question was generated at, one letter per question ("eemmh")
+const CHALLENGE_DIFFICULTY_LETTERS = { easy: 'e', medium: 'm', hard: 'h' };
+
+/**
+ * @param {string} [url=window.location.href]
+ * @returns {Object|null} the challenge, or null when the URL has no mode and seed
+ */
+function readChallengeParams(url = window.location.href) {
+  const parsed = new URL(url);
+  const params = new URLSearchParams(parsed.search);
+  new URLSearchParams(parsed.hash.replace(/^#/, '')).forEach((value, key) => params.set(key, value));
+  if (!params.get('mode') || !params.get('seed')) return null;
+  const readNumber = key => {
+    const value = Number(params.get(key));
+    return params.has(key) && Number.isFinite(value) ? value : null;
+  };
+  const levelsByLetter = Object.fromEntries(Object.entries(CHALLENGE_DIFFICULTY_LETTERS).map(([level, letter]) => [letter, level]));
+  return {
+    mode: params.get('mode'),
+    types: (params.get('types') || '').split(',').filter(Boolean),
+    difficulty: params.get('difficulty'),
+    difficultyPath: Array.from(params.get('path') || '').map(letter => levelsByLetter[letter]).filter(Boolean),
+    length: readNumber('length'),
+    code: params.get('seed'),
+    focus: params.get('focus'),
+    region: params.get('region'),
+    direction: params.get('ask'),
+    score: readNumber('score'),
+    total: readNumber('total')
+  };
+}
+
+/**
+ * Build a link that replays a quiz. Empty values are left out.
+ * @param {Object} challenge - same shape as readChallengeParams() returns
+ * @param {string} [baseUrl=window.location.href] - page URL; its existing challenge parameters are dropped
+ * @returns {string}
+ */
+function buildChallengeUrl(challenge, baseUrl = window.location.href) {
+  const url = new URL(baseUrl);
+  CHALLENGE_PARAM_NAMES.forEach(name => url.searchParams.delete(name));
+  const params = new URLSearchParams();
+  const values = {
+    mode: challenge.mode,
+    types: (challenge.types || []).join(','),
+    difficulty: challenge.difficulty,
+    path: (challenge.difficultyPath || []).map(level => CHALLENGE_DIFFICULTY_LETTERS[level] || '').join(''),
+    length: challenge.length,
+    seed: challenge.code,
+    focus: challenge.focus,
+    region: challenge.region,
+    ask: challenge.direction,
+    score: challenge.score,
+    total: challenge.total
+  };
+  Object.entries(values).forEach(([name, value]) => {
+    if (value !== null && value !== undefined && value !== '') params.set(name, String(value));
+  });
+  url.hash = params.toString();
+  return url.toString();
+}
+
+// Show the link for the quiz just played in the address bar without adding a history entry
+function writeChallengeToLocation(challenge) {
+  try {
+    window.history.replaceState(null, '', buildChallengeUrl(challenge));
+  } catch (err) {
+    console.warn('Unable to update the page URL with the challenge link', err);
+  }
+}
+
+// Remove the challenge parameters from the address bar, keeping any others
+function clearChallengeFromLocation() {
+  const url = new URL(window.location.href);
+  const hashParams = new URLSearchParams(url.hash.replace(/^#/, ''));
+  CHALLENGE_PARAM_NAMES.forEach(name => {
+    url.searchParams.delete(name);
+    hashParams.delete(name);
+  });
+  url.hash = hashParams.toString();
+  if (url.toString() === window.location.href) return;
+  try {
+    window.history.replaceState(null, '', url.toString());
+  } catch (err) {
+    console.warn('Unable to remove the challenge link from the page URL', err);
+  }
+}
+
+window.readChallengeParams = readChallengeParams;
+window.buildChallengeUrl = buildChallengeUrl;
+window.writeChallengeToLocation = writeChallengeToLocation;
+window.clearChallengeFromLocation = clearChallengeFromLocation;
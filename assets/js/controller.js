@@ -7,21 +7,73 @@
 (function () {
   const view = new window.QuizView();
   const quizEngine = window.quiz; // model instance
+  const scoreStore = new window.ScoreStore();
+  const reviewStore = new window.ReviewStore();
+  const dailyStore = new window.DailyStore();
+  // classroom rooms need multiplayer.js; without it the room panel just reports that
+  const roomClient = window.MultiplayerClient ? new window.MultiplayerClient() : null;
+
+  // Quiz types the mode buttons may select; each needs a matching --<type>-color theme variable
+  // ('review' asks missed questions that are due again instead of questions about a chosen country,
+  // 'daily' the same mixed set for everyone, once per day)
+  const QUIZ_TYPES = ['population', 'currency', 'languages', 'capital', 'flags', 'region', 'compare', 'timezones', 'review', 'daily'];
+  // Types that choose their own questions: no country to pick, and the category mix does not apply
+  const SELF_PICKING_TYPES = ['review', 'daily'];
+  // Types played as an endless run that stops at the first wrong answer
+  const ENDLESS_TYPES = ['compare'];
+  const DEFAULT_QUIZ_LENGTH = 10;
+  const MIN_QUIZ_LENGTH = 5;
+  const MAX_QUIZ_LENGTH = 50;
+  // Seconds per question in timed mode
+  const QUESTION_TIME_LIMIT_SECONDS = 15;
+  // Hot-seat: players share the device. 'alternate' gives each question to the next player;
+  // 'shared' has every player answer each question before the answer is shown.
+  const MAX_PLAYERS = 4;
+  const TURN_STYLES = ['alternate', 'shared'];
 
   const gameState = {
     currentGameType: null,
     selectedCountryName: null,
+    // questions asked so far; the next one is generated from questionStream after each answer
     questions: [],
+    questionStream: null,
+    // what the player answered, by question index: { selectedIndices, correct, timedOut }
+    responses: [],
+    // a retry of the missed questions, which is not saved to the score history
+    isRetry: false,
+    // difficulty each question was generated at, written into challenge links
+    difficultyPath: [],
+    // challenge link being played (see challenge-link.js): its questions follow the sender's difficultyPath
+    challenge: null,
+    // a quiz code was typed in: difficulty stays put so the questions match the sender's
+    isCodeReplay: false,
+    // date of the daily quiz being played (see QuizEngine.getDailyKey), null in other modes
+    dailyKey: null,
+    // hot-seat player names from the setup panel (fewer than two = solo)
+    playerNames: [],
+    turnStyle: 'alternate',
+    // tallies of the quiz in progress, [{ name, score, wrong }]; empty when playing solo
+    players: [],
+    // 'shared' turns: who answers the current question next, and the answers given to it so far
+    turnIndex: 0,
+    turnAnswers: [],
+    // classroom room this page is in, { code, playerId, isHost }; the server runs its quiz
+    room: null,
     currentQuestionIndex: 0,
     hasAnswered: false,
     totalQuestions: 0,
-    isComplete: false
+    isComplete: false,
+    isEndless: false,
+    isTimed: false,
+    quizLength: DEFAULT_QUIZ_LENGTH,
+    // categories ticked in the setup panel; two or more make a mixed quiz
+    mixedTypes: [],
+    // when the quiz began, so review items missed during it are not promoted in it
+    quizStartedAt: 0,
+    // when the current question was shown, for response times
+    questionShownAt: 0
   };
 
-  // Performance tracking for adaptive difficulty
-  let correctStreak = 0;
-  let wrongStreak = 0;
-
   // Helpers
   function enableLeftPane(gameType) {
     const leftPane = document.querySelector('.left-pane');
@@ -38,23 +90,82 @@
     });
   }
 
+  function disableLeftPane() {
+    const leftPane = document.querySelector('.left-pane');
+    if (!leftPane) return;
+    leftPane.classList.add('disabled', 'transparent');
+    leftPane.classList.remove('visible');
+  }
+
   function getModeColor(mode) { if (!mode) return '#000'; const styles = getComputedStyle(document.documentElement); const value = styles.getPropertyValue(`--${mode}-color`); return value ? value.trim() : '#000'; }
 
   // Event handlers from View
   document.addEventListener('view:mode-selected', (e) => {
     const type = e?.detail?.type;
-    if (!type || !['population','currency','languages'].includes(type)) return;
+    if (!type || !QUIZ_TYPES.includes(type)) return;
     gameState.currentGameType = type;
     gameState.selectedCountryName = null;
+    gameState.challenge = null;
+    window.clearChallengeFromLocation();
     gameState.questions = [];
     gameState.currentQuestionIndex = 0;
     gameState.hasAnswered = false;
     gameState.totalQuestions = 0;
     gameState.isComplete = false;
 
+    if (type === 'review') { prepareReview(); return; }
+    if (type === 'daily') { prepareDaily(); return; }
+    view.resetRightPaneBeforeQuiz();
+    if (type === 'flags' && !isMixedQuiz() && !quizEngine.hasFlagImages()) {
+      disableLeftPane();
+      view.updateStatusMessage('Flag questions need an internet connection. Pick another category for now.', '#d9534f');
+      return;
+    }
     enableLeftPane(type);
     view.updateStatusMessage(`${view.capitalize(type)} quiz selected. Choose a country.`, getModeColor(type));
-    view.resetRightPaneBeforeQuiz();
+  });
+
+  // Review mode needs no country: it replays the missed questions that are due
+  function prepareReview() {
+    disableLeftPane();
+    const dueCount = reviewStore.getDueItems().length;
+    if (dueCount === 0) {
+      view.resetRightPaneBeforeQuiz();
+      view.updateStatusMessage('Nothing to review right now. Questions you miss will come back here.', getModeColor('review'));
+      return;
+    }
+    const reviewCount = Math.min(dueCount, gameState.quizLength);
+    view.updateStatusMessage(`${dueCount} missed question${dueCount === 1 ? ' is' : 's are'} due for review.`, getModeColor('review'));
+    view.setupRightPaneGameArea(null, 'review', `Review: ${reviewCount} question${reviewCount === 1 ? '' : 's'} you missed before. Press Start Quiz when you are ready.`);
+  }
+
+  // The daily quiz needs no country either, and can only be played once per date
+  function prepareDaily() {
+    disableLeftPane();
+    const result = dailyStore.getResult(quizEngine.getDailyKey());
+    if (result) {
+      view.setupRightPaneGameArea(null, 'daily', result.complete
+        ? `You have played today's daily: ${result.score}/${result.total}. A new one arrives tomorrow.`
+        : `You started today's daily and answered ${result.marks.length} of ${result.total}. A new one arrives tomorrow.`);
+      const startBtn = document.getElementById('showOverlayBtn');
+      if (startBtn) { startBtn.classList.add('hidden'); startBtn.setAttribute('aria-hidden','true'); }
+      view.renderDailyShare(window.formatDailyShareText(result));
+      view.updateStatusMessage('Come back tomorrow for a new daily quiz.', getModeColor('daily'));
+      return;
+    }
+    view.updateStatusMessage("Today's daily quiz is ready.", getModeColor('daily'));
+    view.setupRightPaneGameArea(null, 'daily', "Daily: the same 10 mixed questions for everyone today, and one go only. Press Start Quiz when you are ready.");
+  }
+
+  // Fresh country data arrived after starting from a stale cache. Only switch to it and rebuild
+  // the left pane when the player isn't mid-selection or mid-quiz; otherwise Play Again does.
+  document.addEventListener('quiz:data-refreshed', () => {
+    const quizInProgress = gameState.questions.length > 0 && !gameState.isComplete;
+    if (quizInProgress || gameState.selectedCountryName || gameState.room) return;
+    quizEngine.applyRefreshedCountries();
+    quizEngine.populateCountryPool();
+    if (gameState.currentGameType) enableLeftPane(gameState.currentGameType);
+    view.updateStatusMessage('Country data updated. Choose a country to get started.', getModeColor(gameState.currentGameType));
   });
 
   // Difficulty change initiated by the View (user selected)
@@ -69,17 +180,127 @@
     view.updateStatusMessage(`Difficulty set to ${view.capitalize(level)}. Choose a country.`, getModeColor(gameState.currentGameType));
   });
 
+  // Region change initiated by the View: the left pane must show countries from the new region,
+  // so the pool is reloaded and any country picked from the old list is dropped.
+  document.addEventListener('view:region-changed', (e) => {
+    const region = e?.detail?.region;
+    if (!region || !quizEngine || typeof quizEngine.setRegion !== 'function') return;
+    quizEngine.setRegion(region);
+    gameState.selectedCountryName = null;
+    view.resetRightPaneBeforeQuiz();
+    if (gameState.currentGameType) enableLeftPane(gameState.currentGameType);
+    const regionLabel = region === 'all' ? 'the whole world' : region;
+    view.updateStatusMessage(`Countries now come from ${regionLabel}. Choose a country.`, getModeColor(gameState.currentGameType));
+  });
+
+  document.addEventListener('view:timed-changed', (e) => {
+    gameState.isTimed = Boolean(e?.detail?.enabled);
+    view.updateStatusMessage(gameState.isTimed ? `Timed mode on: ${QUESTION_TIME_LIMIT_SECONDS} seconds per question.` : 'Timed mode off.', getModeColor(gameState.currentGameType));
+  });
+
+  document.addEventListener('view:quiz-length-changed', (e) => {
+    const requested = Math.round(Number(e?.detail?.length));
+    const length = Number.isFinite(requested) ? Math.min(MAX_QUIZ_LENGTH, Math.max(MIN_QUIZ_LENGTH, requested)) : DEFAULT_QUIZ_LENGTH;
+    gameState.quizLength = length;
+    // reflect any clamping back into the input
+    view.setQuizLengthValue(length);
+  });
+
+  // Entering a quiz code replays that quiz: the same country pool, questions and options
+  document.addEventListener('view:quiz-code-changed', (e) => {
+    gameState.challenge = null;
+    if (!quizEngine.setQuizCode(e?.detail?.code)) {
+      view.setQuizCodeValue(quizEngine.getQuizCode());
+      view.updateStatusMessage('That quiz code is not valid. Codes are up to 7 letters and digits.', '#d9534f');
+      return;
+    }
+    gameState.isCodeReplay = true;
+    quizEngine.populateCountryPool();
+    gameState.selectedCountryName = null;
+    view.resetRightPaneBeforeQuiz();
+    if (gameState.currentGameType === 'review') {
+      prepareReview();
+      return;
+    }
+    if (gameState.currentGameType === 'daily') {
+      prepareDaily();
+      return;
+    }
+    if (gameState.currentGameType) enableLeftPane(gameState.currentGameType);
+    view.updateStatusMessage(`Quiz code ${quizEngine.getQuizCode()} loaded. Choose the same country and difficulty to play the same quiz.`, getModeColor(gameState.currentGameType));
+  });
+
+  // Population, currency and languages questions can also name the answer and ask for the country
+  document.addEventListener('view:direction-changed', (e) => {
+    const direction = e?.detail?.direction;
+    if (!direction || !quizEngine || typeof quizEngine.setQuestionDirection !== 'function') return;
+    quizEngine.setQuestionDirection(direction);
+  });
+
+  document.addEventListener('view:categories-changed', (e) => {
+    const types = Array.isArray(e?.detail?.types) ? e.detail.types.filter(type => QUIZ_TYPES.includes(type)) : [];
+    gameState.mixedTypes = types;
+    if (types.length >= 2) {
+      view.updateStatusMessage(`Mixed quiz: ${types.map(type => view.capitalize(type)).join(', ')}.`, getModeColor('mixed'));
+    }
+  });
+
+  document.addEventListener('view:players-changed', (e) => {
+    const names = Array.isArray(e?.detail?.names) ? e.detail.names.slice(0, MAX_PLAYERS) : [];
+    gameState.playerNames = names.length >= 2 ? names : [];
+    if (gameState.playerNames.length === 0) {
+      view.updateStatusMessage('Solo game.', getModeColor(gameState.currentGameType));
+      return;
+    }
+    const soloNote = SELF_PICKING_TYPES.includes(gameState.currentGameType) ? ` ${view.capitalize(gameState.currentGameType)} mode is always solo.` : '';
+    view.updateStatusMessage(`Hot-seat game: ${gameState.playerNames.join(', ')}.${soloNote}`, getModeColor(gameState.currentGameType));
+  });
+
+  document.addEventListener('view:turn-style-changed', (e) => {
+    const style = e?.detail?.style;
+    if (!TURN_STYLES.includes(style)) return;
+    gameState.turnStyle = style;
+  });
+
+  function isHotSeat() {
+    return gameState.players.length >= 2;
+  }
+
+  function isSharedTurns() {
+    return isHotSeat() && gameState.turnStyle === 'shared';
+  }
+
+  // Player answering now: the question's owner when alternating, otherwise whoever is next in line
+  function getCurrentPlayerIndex() {
+    if (!isHotSeat()) return -1;
+    return gameState.turnStyle === 'shared' ? gameState.turnIndex : gameState.currentQuestionIndex % gameState.players.length;
+  }
+
+  // Players for a new quiz; review and daily are personal, so always solo
+  function createPlayers() {
+    if (gameState.playerNames.length < 2 || SELF_PICKING_TYPES.includes(gameState.currentGameType)) return [];
+    return gameState.playerNames.map(name => ({ name, score: 0, wrong: 0 }));
+  }
+
+  function isMixedQuiz() {
+    return !SELF_PICKING_TYPES.includes(gameState.currentGameType) && gameState.mixedTypes.length >= 2;
+  }
+
   document.addEventListener('view:country-selected', (e) => {
     const { name, item } = e.detail || {};
     if (!gameState.currentGameType) {
       view.updateStatusMessage('Select a quiz type first to unlock the countries.', '#d9534f');
       return;
     }
+    if (SELF_PICKING_TYPES.includes(gameState.currentGameType)) return;
     if (!name || name.toLowerCase().includes('waiting')) {
       view.updateStatusMessage('Country data is still loading. Please try again in a moment.', '#d9534f');
       return;
     }
+    selectCountry(name, item);
+  });
 
+  function selectCountry(name, item) {
     // select UI
     document.querySelectorAll('.item-list .country.selected-country').forEach(el => el.classList.remove('selected-country'));
     try { item.classList.add('selected-country'); } catch (e) {}
@@ -91,11 +312,14 @@
     gameState.totalQuestions = 0;
     gameState.isComplete = false;
 
-    view.updateStatusMessage(`You selected ${name}. Click "Start Quiz" to begin the ${gameState.currentGameType} challenge.`, getModeColor(gameState.currentGameType));
-    view.setupRightPaneGameArea(name, gameState.currentGameType);
-  });
+    const quizLabel = isMixedQuiz() ? 'mixed' : gameState.currentGameType;
+    view.updateStatusMessage(`You selected ${name}. Click "Start Quiz" to begin the ${quizLabel} challenge.`, getModeColor(gameState.currentGameType));
+    view.setupRightPaneGameArea(name, quizLabel);
+  }
 
   document.addEventListener('view:start-quiz', (e) => {
+    // the room server decides when its questions start
+    if (gameState.room) return;
     // If quiz is complete, treat this as a Play Again trigger
     if (gameState.isComplete) {
       handlePlayAgain();
@@ -104,52 +328,100 @@
     beginQuiz();
   });
 
+  // Also fired by the view's countdown with selectedIndex -1 and timedOut: true when time runs out.
+  // "Select all that apply" questions send selectedIndices instead of selectedIndex.
   document.addEventListener('view:answer-selected', (e) => {
+    if (gameState.room) { sendRoomAnswer(e?.detail || {}); return; }
     const selectedIndex = e?.detail?.selectedIndex;
+    const timedOut = Boolean(e?.detail?.timedOut);
     if (gameState.isComplete) return;
     const q = gameState.questions[gameState.currentQuestionIndex];
     if (!q || Number.isNaN(selectedIndex) || gameState.hasAnswered) return;
 
     gameState.hasAnswered = true;
+    view.stopCountdown();
     // disable buttons
     view.toggleAnswerButtons(true, false);
   // Ensure assistive tech knows options are disabled
   const allButtons = Array.from(document.querySelectorAll('.answer-option'));
   allButtons.forEach(b => b.setAttribute('aria-disabled', 'true'));
 
+    const selectedIndices = q.multiSelect ? (e?.detail?.selectedIndices || []) : [selectedIndex];
+    const correctIndices = q.multiSelect ? q.correctIndices : [q.correctIndex];
+
     // mark selection
     const buttons = Array.from(document.querySelectorAll('.answer-option'));
-    const button = buttons[selectedIndex];
-    if (button) button.classList.add('selected');
-  // mark aria-selected for the chosen option
-  try { button.setAttribute('aria-selected', 'true'); } catch (e) {}
-
-    const correctButton = buttons[q.correctIndex];
-    if (correctButton) correctButton.classList.add('correct');
-    // Announce correct option via its accessible name as well
-    try { correctButton.setAttribute('aria-label', `${correctButton.textContent}. Correct answer.`); } catch (e) {}
-    if (selectedIndex !== q.correctIndex) {
-      if (button) button.classList.add('incorrect');
-      try { if (button) button.setAttribute('aria-label', `${button.textContent}. Your selection. Incorrect.`); } catch (e) {}
-      view.incrementWrongAnswer();
-      wrongStreak += 1; correctStreak = 0;
-      const correctLabel = q.options[q.correctIndex]?.label || q.correctAnswerLabel;
-      view.setFeedback(`Not quite. The correct answer is ${correctLabel}.`, false);
-      // adapt difficulty downward if player struggles
-      if (wrongStreak >= 2) {
-        downgradeDifficulty();
-        wrongStreak = 0;
-      }
+    selectedIndices.forEach(index => {
+      const button = buttons[index];
+      if (button) button.classList.add('selected');
+      // mark aria-selected for the chosen option
+      try { button.setAttribute('aria-selected', 'true'); } catch (e) {}
+    });
+
+    const isCorrect = selectedIndices.length === correctIndices.length && correctIndices.every(index => selectedIndices.includes(index));
+    const answer = { player: getCurrentPlayerIndex(), selectedIndices, correct: isCorrect, timedOut, responseMs: Date.now() - gameState.questionShownAt };
+    if (isHotSeat()) gameState.turnAnswers.push(answer);
+    // 'shared' turns: nothing is scored or shown until everyone has had their go
+    if (isSharedTurns() && gameState.turnIndex < gameState.players.length - 1) { passTurn(); return; }
+
+    // the model owns the score; the view re-renders the totals from quiz:score-changed
+    let totals = null;
+    (isHotSeat() ? gameState.turnAnswers : [answer]).forEach(turn => {
+      totals = quizEngine.recordAnswer({
+        country: q.country,
+        type: q.type,
+        correct: turn.correct,
+        responseMs: turn.responseMs,
+        timedOut: turn.timedOut
+      });
+      if (!isHotSeat()) return;
+      const player = gameState.players[turn.player];
+      if (turn.correct) player.score += 1;
+      else player.wrong += 1;
+    });
+    if (isHotSeat()) {
+      view.renderTurnIndicator(gameState.players, isSharedTurns() ? -1 : getCurrentPlayerIndex());
+    } else if (!gameState.isRetry) {
+      // misses are scheduled for review; correct answers move along review items that were due
+      // when the quiz began (a retry re-asks this quiz's misses, so it is not recorded at all)
+      reviewStore.recordResult({ country: q.country, type: q.type, correct: isCorrect, dueBy: gameState.quizStartedAt });
+    }
+    gameState.responses[gameState.currentQuestionIndex] = {
+      selectedIndices,
+      correct: isHotSeat() ? gameState.turnAnswers.every(turn => turn.correct) : isCorrect,
+      timedOut,
+      turns: isHotSeat() ? gameState.turnAnswers : null
+    };
+    if (gameState.dailyKey && !gameState.isRetry) saveDailyProgress();
+
+    view.labelAnsweredImageOptions(q);
+    correctIndices.forEach(index => {
+      const correctButton = buttons[index];
+      if (correctButton) correctButton.classList.add('correct');
+      // Announce correct option via its accessible name as well (option labels, since image options have no text)
+      try { correctButton.setAttribute('aria-label', `${q.options[index].label}. Correct answer.`); } catch (e) {}
+    });
+    if (isSharedTurns()) {
+      revealSharedAnswers(q, buttons, correctIndices);
+    } else if (!isCorrect) {
+      selectedIndices.filter(index => !correctIndices.includes(index)).forEach(index => {
+        const button = buttons[index];
+        if (button) button.classList.add('incorrect');
+        try { if (button) button.setAttribute('aria-label', `${q.options[index].label}. Your selection. Incorrect.`); } catch (e) {}
+      });
+      // the first miss ends an endless run: this becomes the last question
+      if (gameState.isEndless) gameState.totalQuestions = gameState.currentQuestionIndex + 1;
+      const correctLabel = q.correctAnswerLabel || q.options[q.correctIndex]?.label;
+      const answerNoun = correctIndices.length > 1 ? 'answers are' : 'answer is';
+      view.setFeedback(`${timedOut ? "Time's up!" : 'Not quite.'} The correct ${answerNoun} ${correctLabel}.`, false);
+      // adapt difficulty downward on every second wrong answer in a row
+      if (totals.missStreak % 2 === 0 && isAdaptiveDifficulty()) downgradeDifficulty();
     } else {
-      view.incrementScore();
-      correctStreak += 1; wrongStreak = 0;
       view.setFeedback(q.explanation || 'Great job!', true);
-      // adapt difficulty upward if player is on a streak
-      if (correctStreak >= 3) {
-        upgradeDifficulty();
-        correctStreak = 0;
-      }
+      // adapt difficulty upward on every third correct answer in a row
+      if (totals.streak % 3 === 0 && isAdaptiveDifficulty()) upgradeDifficulty();
     }
+    queueNextQuestion();
 
     // reveal next/finish button
     const nextBtn = document.getElementById('nextQuestionBtn');
@@ -162,8 +434,9 @@
   });
 
   document.addEventListener('view:next-question', () => {
+    if (gameState.room) return;
     if (gameState.isComplete) {
-      // restart
+      // replay: the same quiz code and country give the same questions (Play Again starts afresh)
       beginQuiz();
       return;
     }
@@ -172,15 +445,52 @@
     if (gameState.currentQuestionIndex >= gameState.totalQuestions) { finalizeQuiz(); return; }
     gameState.hasAnswered = false;
     view.toggleAnswerButtons(false, false);
+    showCurrentQuestion();
+  });
+
+  function showCurrentQuestion() {
     const q = gameState.questions[gameState.currentQuestionIndex];
     view.renderQuestion(q, gameState.currentQuestionIndex, gameState.totalQuestions);
-  });
+    gameState.turnIndex = 0;
+    gameState.turnAnswers = [];
+    if (isHotSeat()) view.renderTurnIndicator(gameState.players, getCurrentPlayerIndex());
+    gameState.questionShownAt = Date.now();
+    if (gameState.isTimed) view.startCountdown(QUESTION_TIME_LIMIT_SECONDS);
+  }
+
+  // 'shared' turns: hand the same question to the next player
+  function passTurn() {
+    gameState.turnIndex += 1;
+    gameState.hasAnswered = false;
+    view.reopenAnswerButtons();
+    view.renderTurnIndicator(gameState.players, getCurrentPlayerIndex());
+    view.setFeedback(`Answer locked in. Pass to ${gameState.players[getCurrentPlayerIndex()].name}.`, null);
+    gameState.questionShownAt = Date.now();
+    if (gameState.isTimed) view.startCountdown(QUESTION_TIME_LIMIT_SECONDS);
+  }
+
+  // 'shared' turns: once everyone has answered, mark every wrong pick and say who got it right
+  function revealSharedAnswers(q, buttons, correctIndices) {
+    const wrongPicks = new Set(gameState.turnAnswers.flatMap(turn => turn.selectedIndices).filter(index => !correctIndices.includes(index)));
+    wrongPicks.forEach(index => {
+      const button = buttons[index];
+      if (button) button.classList.add('incorrect');
+    });
+    const winners = gameState.turnAnswers.filter(turn => turn.correct).map(turn => gameState.players[turn.player].name);
+    const correctLabel = q.correctAnswerLabel || q.options[q.correctIndex]?.label;
+    const verdict = winners.length === 0 ? 'Nobody got it.' : winners.length === gameState.players.length ? 'Everyone got it!' : `Right: ${winners.join(', ')}.`;
+    view.setFeedback(`The answer is ${correctLabel}. ${verdict}`, winners.length > 0);
+  }
 
   function beginQuiz() {
     if (!gameState.currentGameType) { view.updateStatusMessage('Select a quiz type first.', '#d9534f'); view.restoreStartButton(); return; }
-    if (!gameState.selectedCountryName) { view.updateStatusMessage('Choose a country from the left pane before starting.', '#d9534f'); return; }
+    const isReview = gameState.currentGameType === 'review';
+    if (gameState.currentGameType === 'daily') { beginDailyQuiz(); return; }
+    if (!gameState.selectedCountryName && !isReview) { view.updateStatusMessage('Choose a country from the left pane before starting.', '#d9534f'); return; }
     if (!quizEngine || !Array.isArray(quizEngine.countryPool) || quizEngine.countryPool.length === 0) { view.updateStatusMessage('Still gathering country data. Please try again in a moment.', '#d9534f'); return; }
 
+  // the code box is cleared after a quiz whose difficulty adapted; this one starts from the code again
+  view.setQuizCodeValue(quizEngine.getQuizCode());
   // disable controls during an active quiz
   view.disableGameControls();
   view.showOverlay('Preparing questions...');
@@ -188,61 +498,204 @@
     view.hideQuizRowsUntilStart();
 
     setTimeout(() => {
-      // attempt to generate question set
-      let questions = [];
+      // questions are generated lazily, anchored on the country picked in the left pane
+      let firstQuestion = null;
+      const players = createPlayers();
+      // hot-seat runs have a fixed length, a multiple of the player count when taking turns
+      // (rounded up, but never past MAX_QUIZ_LENGTH)
+      const isEndless = !isMixedQuiz() && ENDLESS_TYPES.includes(gameState.currentGameType) && players.length === 0;
+      const quizLength = players.length > 0 && gameState.turnStyle === 'alternate'
+        ? Math.min(Math.ceil(gameState.quizLength / players.length), Math.floor(MAX_QUIZ_LENGTH / players.length)) * players.length
+        : gameState.quizLength;
       try {
-        questions = quizEngine.generateQuestionSet(gameState.currentGameType, 10);
+        gameState.questionStream = isReview
+          ? quizEngine.createQuestionStream({ items: reviewStore.getDueItems().slice(0, gameState.quizLength), count: gameState.quizLength })
+          : quizEngine.createQuestionStream({
+            types: isMixedQuiz() ? gameState.mixedTypes : [gameState.currentGameType],
+            count: isEndless ? Infinity : quizLength,
+            focusCountryName: gameState.selectedCountryName
+          });
+        gameState.difficultyPath = [];
+        firstQuestion = generateQuestion(0);
       } catch (err) {
-        console.error('generateQuestionSet failed', err);
+        console.error('nextQuestion failed', err);
         view.updateStatusMessage('Unable to create questions right now. Please try again.', '#d9534f');
         view.restoreStartButton();
         view.hideOverlay();
         return;
       }
 
-      if (!Array.isArray(questions) || questions.length === 0) {
-        view.updateStatusMessage('Not enough data to start this quiz. Try another category.', '#d9534f');
+      if (!firstQuestion) {
+        view.updateStatusMessage(isReview ? 'Nothing to review right now.' : 'Not enough data to start this quiz. Try another category.', '#d9534f');
         view.restoreStartButton();
         view.hideOverlay();
         return;
       }
 
-      gameState.questions = questions;
-      gameState.totalQuestions = questions.length;
-      gameState.currentQuestionIndex = 0;
-      gameState.hasAnswered = false;
-      gameState.isComplete = false;
+      startQuiz({
+        questions: [firstQuestion],
+        totalQuestions: gameState.questionStream.count,
+        isEndless,
+        mode: isMixedQuiz() ? 'mixed' : gameState.currentGameType,
+        players
+      });
+    }, 500);
+  }
 
-      // reset scores
-      view.setScoreValue('score', 0);
-      view.setScoreValue('incorrect', 0);
+  // The daily set is generated whole, from the date, and ignores the player's settings
+  function beginDailyQuiz() {
+    const dailyKey = quizEngine.getDailyKey();
+    if (dailyStore.getResult(dailyKey)) { prepareDaily(); return; }
+    if (!quizEngine || !Array.isArray(quizEngine.countries) || quizEngine.countries.length === 0) { view.updateStatusMessage('Still gathering country data. Please try again in a moment.', '#d9534f'); return; }
 
-  view.hideOverlay();
-      view.showQuizRows();
-      view.toggleAnswerButtons(false, true);
-      const startBtn = document.getElementById('showOverlayBtn');
-      if (startBtn) { startBtn.classList.add('hidden'); startBtn.setAttribute('aria-hidden','true'); }
+    view.disableGameControls();
+    view.showOverlay("Preparing today's questions...");
+    view.toggleAnswerButtons(true, true);
+    view.hideQuizRowsUntilStart();
 
-      view.updateStatusMessage('Answer the quiz questions displayed on the right pane.', getModeColor(gameState.currentGameType));
-      // render first question
-      const q0 = gameState.questions[0];
-      view.renderQuestion(q0, 0, gameState.totalQuestions);
+    setTimeout(() => {
+      let daily = null;
+      try {
+        daily = quizEngine.generateDailyQuiz(dailyKey);
+      } catch (err) {
+        console.error('generateDailyQuiz failed', err);
+      }
+      if (!daily || daily.questions.length === 0) {
+        view.updateStatusMessage('Unable to create the daily quiz right now. Please try again.', '#d9534f');
+        view.restoreStartButton();
+        view.hideOverlay();
+        return;
+      }
+      gameState.questionStream = null;
+      gameState.difficultyPath = [];
+      startQuiz({ questions: daily.questions, totalQuestions: daily.questions.length, mode: 'daily', difficulty: daily.difficulty });
+      gameState.dailyKey = daily.date;
+      // seeing the first question uses up the day's go, even if the page is reloaded straight away
+      saveDailyProgress();
     }, 500);
   }
 
+  // Saved on start and after every answer, so leaving part way through still uses up the day's go
+  function saveDailyProgress() {
+    const marks = gameState.responses.map(response => (response.correct ? 'correct' : response.timedOut ? 'timeout' : 'wrong'));
+    dailyStore.saveResult({
+      date: gameState.dailyKey,
+      score: marks.filter(mark => mark === 'correct').length,
+      total: gameState.totalQuestions,
+      marks,
+      complete: marks.length >= gameState.totalQuestions
+    });
+  }
+
+  // Shared by beginQuiz and the missed-question retry once the opening question(s) exist
+  function startQuiz({ questions, totalQuestions, isEndless = false, isRetry = false, mode, difficulty = quizEngine.getDifficulty(), players = [] }) {
+    gameState.questions = questions;
+    gameState.players = players;
+    gameState.responses = [];
+    gameState.isEndless = isEndless;
+    gameState.isRetry = isRetry;
+    gameState.quizStartedAt = Date.now();
+    // set again by beginDailyQuiz; a retry of the daily's misses is ordinary practice
+    gameState.dailyKey = null;
+    gameState.totalQuestions = totalQuestions;
+    view.preloadQuestionImages(gameState.questions);
+    gameState.currentQuestionIndex = 0;
+    gameState.hasAnswered = false;
+    gameState.isComplete = false;
+
+    // reset scores (the view renders the zeroed totals from quiz:score-changed)
+    quizEngine.startSession({ mode, difficulty });
+    view.setScoreAreaVisible(players.length === 0);
+
+    view.hideOverlay();
+    view.showQuizRows();
+    view.toggleAnswerButtons(false, true);
+    const startBtn = document.getElementById('showOverlayBtn');
+    if (startBtn) { startBtn.classList.add('hidden'); startBtn.setAttribute('aria-hidden','true'); }
+
+    view.updateStatusMessage('Answer the quiz questions displayed on the right pane.', getModeColor(gameState.currentGameType));
+    // render first question
+    showCurrentQuestion();
+  }
+
+  // Ask the questions missed in the quiz that just finished again, exactly as they were
+  document.addEventListener('view:retry-missed', () => {
+    if (!gameState.isComplete) return;
+    const missed = gameState.questions.filter((question, index) => gameState.responses[index] && !gameState.responses[index].correct);
+    if (missed.length === 0) return;
+    view.disableGameControls();
+    view.hideQuizRowsUntilStart();
+    gameState.questionStream = null;
+    const session = quizEngine.getSessionInfo();
+    startQuiz({ questions: missed, totalQuestions: missed.length, isRetry: true, mode: session.mode, difficulty: session.difficulty });
+  });
+
+  // Questions are generated through here so the difficulty of each can be recorded for challenge
+  // links - and, when playing a challenge, set to the sender's so the questions match theirs
+  function generateQuestion(index) {
+    const scriptedDifficulty = gameState.challenge ? gameState.challenge.difficultyPath[index] : null;
+    if (scriptedDifficulty) quizEngine.setDifficulty(scriptedDifficulty, false);
+    const question = quizEngine.nextQuestion(gameState.questionStream);
+    if (question) gameState.difficultyPath[index] = quizEngine.getDifficulty();
+    return question;
+  }
+
+  // Generate the next question right after an answer: any difficulty change that answer caused
+  // already applies to it, and its images preload while the player reads the feedback
+  function queueNextQuestion() {
+    if (gameState.currentQuestionIndex + 1 >= gameState.totalQuestions) return;
+    // a retry already holds all of its questions
+    if (gameState.questions[gameState.currentQuestionIndex + 1]) return;
+    let next = null;
+    try {
+      next = generateQuestion(gameState.currentQuestionIndex + 1);
+    } catch (err) {
+      console.error('nextQuestion failed', err);
+    }
+    if (!next) {
+      // nothing left to ask: this becomes the last question
+      gameState.totalQuestions = gameState.currentQuestionIndex + 1;
+      return;
+    }
+    gameState.questions.push(next);
+    view.preloadQuestionImages([next]);
+  }
+
   function finalizeQuiz() {
     gameState.isComplete = true;
     view.toggleAnswerButtons(true, false);
-    const correctAnswers = view.getScoreValue('score');
-    const totalAsked = gameState.totalQuestions;
-    const summary = `Quiz complete! You answered ${correctAnswers} out of ${totalAsked} correctly.`;
+    view.hideCountdown();
+    const totals = quizEngine.getTotals();
+    let summary;
+    if (isHotSeat()) summary = describeHotSeatResult();
+    else if (gameState.isEndless) summary = `Run over! You got ${totals.bestStreak} comparison${totals.bestStreak === 1 ? '' : 's'} right in a row.`;
+    else summary = `Quiz complete! You answered ${totals.score} out of ${totals.answered} correctly.`;
+    if (gameState.isTimed && totals.averageResponseMs !== null) {
+      summary += ` Average response time: ${(totals.averageResponseMs / 1000).toFixed(1)} seconds.`;
+    }
+    // the daily is not replayable from a quiz code, and neither is a quiz whose difficulty adapted
+    // along the way (its challenge link records the changes), so no code is shown for those
+    const keptDifficulty = new Set(gameState.difficultyPath).size <= 1;
+    if (gameState.currentGameType !== 'daily' && keptDifficulty) summary += ` Quiz code: ${quizEngine.getQuizCode()}.`;
+    if (!keptDifficulty) view.setQuizCodeValue('');
     view.setFeedback(summary, true);
+    view.renderResults(buildResultEntries(), describeChallengeOutcome(totals));
+    // personal bests and challenge links are for solo play
+    if (!gameState.isRetry && !isHotSeat()) recordQuizResult();
+    if (isHotSeat()) {
+      view.renderTurnIndicator(gameState.players, -1);
+    } else if (gameState.dailyKey) {
+      const dailyResult = dailyStore.getResult(gameState.dailyKey);
+      if (dailyResult) view.renderDailyShare(window.formatDailyShareText(dailyResult));
+    } else if (!gameState.isRetry && !SELF_PICKING_TYPES.includes(gameState.currentGameType)) {
+      shareChallenge(totals);
+    }
 
     const nextBtn = document.getElementById('nextQuestionBtn');
     if (nextBtn) {
       nextBtn.classList.remove('hidden');
       nextBtn.disabled = false;
-      nextBtn.textContent = 'Restart Quiz';
+      nextBtn.textContent = 'Replay Quiz';
       nextBtn.setAttribute('aria-hidden','false');
     }
 
@@ -260,9 +713,132 @@
     view.updateStatusMessage('Quiz complete! Pick a new category or play again to improve your score.', getModeColor(gameState.currentGameType));
   }
 
+  // Winner announcement and final standings, e.g. "Ana wins with 6 correct! Final scores: Ana 6, Ben 4."
+  function describeHotSeatResult() {
+    const best = Math.max(...gameState.players.map(player => player.score));
+    const leaders = gameState.players.filter(player => player.score === best).map(player => player.name);
+    const announcement = leaders.length === 1
+      ? `${leaders[0]} wins with ${best} correct!`
+      : `It's a tie between ${leaders.slice(0, -1).join(', ')} and ${leaders[leaders.length - 1]} with ${best} correct each!`;
+    const standings = [...gameState.players].sort((a, b) => b.score - a.score).map(player => `${player.name} ${player.score}`).join(', ');
+    return `${announcement} Final scores: ${standings}.`;
+  }
+
+  // "Score to beat" line for the results screen when a challenge link was played
+  function describeChallengeOutcome(totals) {
+    const challenge = gameState.challenge;
+    if (!challenge || gameState.isRetry || challenge.score === null) return '';
+    const target = challenge.total ? `${challenge.score}/${challenge.total}` : String(challenge.score);
+    const verdict = totals.score > challenge.score ? 'You beat it!' : totals.score === challenge.score ? "It's a tie!" : 'Not this time.';
+    return `Score to beat: ${target}. You scored ${totals.score}/${totals.answered}. ${verdict}`;
+  }
+
+  // Put a link that replays this quiz in the address bar and on the results screen
+  function shareChallenge(totals) {
+    if (typeof window.buildChallengeUrl !== 'function') return;
+    const challenge = {
+      mode: isMixedQuiz() ? 'mixed' : gameState.currentGameType,
+      types: isMixedQuiz() ? gameState.mixedTypes : [],
+      difficulty: quizEngine.getSessionInfo().difficulty,
+      difficultyPath: gameState.difficultyPath,
+      length: gameState.isEndless ? null : gameState.quizLength,
+      code: quizEngine.getQuizCode(),
+      focus: gameState.selectedCountryName,
+      region: quizEngine.getRegion(),
+      direction: quizEngine.getQuestionDirection(),
+      score: totals.score,
+      total: totals.answered
+    };
+    window.writeChallengeToLocation(challenge);
+    view.setChallengeLink(window.buildChallengeUrl(challenge));
+  }
+
+  /**
+   * Set up the quiz described by a challenge link: settings, quiz code, mode and focus country.
+   * The player then only has to press Start Quiz.
+   */
+  function applyChallenge(challenge) {
+    const isMixed = challenge.mode === 'mixed';
+    const types = challenge.types.filter(type => QUIZ_TYPES.includes(type) && !SELF_PICKING_TYPES.includes(type));
+    const modeType = isMixed ? types[0] : challenge.mode;
+    if (!modeType || SELF_PICKING_TYPES.includes(modeType) || !QUIZ_TYPES.includes(modeType) || (isMixed && types.length < 2)) return;
+    if (!quizEngine.setQuizCode(challenge.code)) return;
+    if (challenge.region) quizEngine.setRegion(challenge.region, false);
+    if (challenge.difficulty) quizEngine.setDifficulty(challenge.difficulty, false);
+    if (challenge.direction) {
+      quizEngine.setQuestionDirection(challenge.direction);
+      view.setQuestionDirectionValue(quizEngine.getQuestionDirection());
+    }
+    if (challenge.length !== null) {
+      gameState.quizLength = Math.min(MAX_QUIZ_LENGTH, Math.max(MIN_QUIZ_LENGTH, Math.round(challenge.length)));
+      view.setQuizLengthValue(gameState.quizLength);
+    }
+    gameState.mixedTypes = isMixed ? types : [];
+    view.setCategoryValues(gameState.mixedTypes);
+    quizEngine.populateCountryPool();
+
+    view.selectMode(modeType, true);
+    gameState.challenge = challenge;
+    // selecting the mode took the link out of the address bar; it stays there while it is played
+    window.writeChallengeToLocation(challenge);
+    if (challenge.focus) {
+      const item = Array.from(document.querySelectorAll('.item-list .country')).find(el => el.textContent.trim() === challenge.focus);
+      selectCountry(challenge.focus, item || null);
+    }
+    const target = challenge.score !== null ? ` Score to beat: ${challenge.total ? `${challenge.score}/${challenge.total}` : challenge.score}.` : '';
+    view.updateStatusMessage(`Challenge loaded: press Start Quiz to play the same questions.${target}`, getModeColor(modeType));
+  }
+
+  // One entry per answered question for the results breakdown
+  function buildResultEntries() {
+    return gameState.questions.map((q, index) => {
+      const response = gameState.responses[index];
+      if (!response) return null;
+      const describeAnswer = (selectedIndices, timedOut) => {
+        const chosenLabels = selectedIndices.filter(choice => q.options[choice]).map(choice => q.options[choice].label);
+        return chosenLabels.length ? chosenLabels.join(', ') : timedOut ? 'No answer (time ran out)' : 'No answer';
+      };
+      const country = quizEngine.findCountryByName(q.country);
+      return {
+        question: q.question,
+        country: q.country,
+        yourAnswer: describeAnswer(response.selectedIndices, response.timedOut),
+        playerAnswers: response.turns
+          ? response.turns.map(turn => ({ name: gameState.players[turn.player].name, answer: describeAnswer(turn.selectedIndices, turn.timedOut), correct: turn.correct }))
+          : null,
+        correctAnswer: q.correctAnswerLabel || q.options[q.correctIndex]?.label,
+        correct: response.correct,
+        explanation: q.explanation || '',
+        flag: country && country.flag && quizEngine.hasFlagImages() ? { src: country.flag, alt: `Flag of ${country.name}` } : null
+      };
+    }).filter(Boolean);
+  }
+
+  function recordQuizResult() {
+    const totals = quizEngine.getTotals();
+    if (totals.answered === 0) return;
+    const session = quizEngine.getSessionInfo();
+    scoreStore.recordQuiz({
+      mode: session.mode,
+      difficulty: session.difficulty,
+      correct: totals.score,
+      total: totals.answered,
+      outcomes: quizEngine.getAnswers()
+    });
+    renderHistory();
+  }
+
+  function renderHistory() {
+    view.renderHistory(scoreStore.getPersonalBests(), scoreStore.getHistory().length);
+  }
+
   function handlePlayAgain() {
+    gameState.challenge = null;
+    window.clearChallengeFromLocation();
+    gameState.isCodeReplay = false;
     if (quizEngine && typeof quizEngine.populateCountryPool === 'function') {
-      try { quizEngine.populateCountryPool(); } catch (e) { console.warn('Play Again: failed to repopulate country pool', e); }
+      // a new round gets a new quiz code (and any country data refreshed during the last one)
+      try { quizEngine.applyRefreshedCountries(); quizEngine.reseed(); quizEngine.populateCountryPool(); } catch (e) { console.warn('Play Again: failed to repopulate country pool', e); }
     }
     document.querySelectorAll('.item-list .country.selected-country').forEach(el => el.classList.remove('selected-country'));
     gameState.selectedCountryName = null;
@@ -271,7 +847,11 @@
     gameState.hasAnswered = false;
     gameState.isComplete = false;
     view.resetRightPaneBeforeQuiz();
-    if (gameState.currentGameType) {
+    if (gameState.currentGameType === 'review') {
+      prepareReview();
+    } else if (gameState.currentGameType === 'daily') {
+      prepareDaily();
+    } else if (gameState.currentGameType) {
       enableLeftPane(gameState.currentGameType);
       view.updateStatusMessage(`New countries loaded. Choose a country for ${view.capitalize(gameState.currentGameType)}.`, getModeColor(gameState.currentGameType));
     } else {
@@ -282,7 +862,228 @@
     if (startBtn) { startBtn.textContent = 'Start Quiz'; startBtn.classList.add('hidden'); startBtn.setAttribute('aria-hidden','true'); }
   }
 
-  // Difficulty helpers for adaptive progression
+  // Classroom rooms (see multiplayer.js and server/): the server generates the questions, times
+  // them and keeps the score, so in a room this page only shows questions and sends answers
+  async function connectToRoomServer() {
+    if (!roomClient) { view.setRoomStatus('Classroom rooms are not available in this page.'); return false; }
+    view.setRoomStatus('Connecting to the classroom server...');
+    try {
+      await roomClient.connect();
+      return true;
+    } catch (err) {
+      view.setRoomStatus(err.message);
+      return false;
+    }
+  }
+
+  // A local quiz that is still running would fight the room over the question area
+  function isLocalQuizRunning() {
+    return gameState.questions.length > 0 && !gameState.isComplete;
+  }
+
+  // The room plays the quiz set up on this page: the ticked categories or the selected mode
+  function getRoomSettings() {
+    return {
+      types: isMixedQuiz() ? gameState.mixedTypes : [gameState.currentGameType],
+      difficulty: quizEngine.getDifficulty(),
+      length: gameState.quizLength,
+      region: quizEngine.getRegion(),
+      direction: quizEngine.getQuestionDirection()
+    };
+  }
+
+  document.addEventListener('view:room-host', async (e) => {
+    if (gameState.room) return;
+    if (isLocalQuizRunning()) { view.setRoomStatus('Finish the current quiz before hosting a room.'); return; }
+    if (!isMixedQuiz() && (!gameState.currentGameType || SELF_PICKING_TYPES.includes(gameState.currentGameType))) {
+      view.setRoomStatus('Select a quiz type (or tick two or more categories) for the room first.');
+      return;
+    }
+    if (!await connectToRoomServer()) return;
+    roomClient.send('create-room', { name: e?.detail?.name, settings: getRoomSettings() });
+  });
+
+  document.addEventListener('view:room-join', async (e) => {
+    if (gameState.room) return;
+    if (isLocalQuizRunning()) { view.setRoomStatus('Finish the current quiz before joining a room.'); return; }
+    const code = e?.detail?.code;
+    if (!code) { view.setRoomStatus('Enter the room code from your host.'); return; }
+    if (!await connectToRoomServer()) return;
+    roomClient.send('join-room', { name: e?.detail?.name, code });
+  });
+
+  document.addEventListener('view:room-start', () => {
+    if (!gameState.room || !gameState.room.isHost) return;
+    roomClient.send('start-quiz');
+  });
+
+  document.addEventListener('view:room-leave', () => {
+    leaveRoom('You have left the room.');
+    if (roomClient) roomClient.disconnect();
+  });
+
+  document.addEventListener('room:room-joined', (e) => {
+    const { code, playerId, isHost } = e.detail;
+    gameState.room = { code, playerId, isHost: Boolean(isHost) };
+    gameState.challenge = null;
+    gameState.dailyKey = null;
+    gameState.players = [];
+    gameState.questions = [];
+    gameState.isComplete = false;
+    view.setRoomState(gameState.room);
+    view.setRoomStatus(isHost
+      ? `Room ${code} is open. Players join with this code; start when everyone is in.`
+      : `You are in room ${code}. The quiz starts when your host is ready.`);
+    view.resetRightPaneBeforeQuiz();
+    view.disableGameControls();
+    disableLeftPane();
+  });
+
+  document.addEventListener('room:lobby', (e) => {
+    if (!gameState.room) return;
+    view.renderRoomPlayers(e.detail.players, gameState.room.playerId);
+  });
+
+  document.addEventListener('room:question', (e) => {
+    if (!gameState.room) return;
+    const { index, total, timeLimitSeconds, question } = e.detail;
+    if (index === 0) {
+      view.setupRightPaneGameArea(null, 'classroom', '');
+      view.showQuizRows();
+      view.disableGameControls();
+      view.setRoomStartEnabled(false);
+      gameState.isComplete = false;
+      gameState.questions = [];
+    }
+    gameState.questions[index] = question;
+    gameState.currentQuestionIndex = index;
+    gameState.totalQuestions = total;
+    gameState.hasAnswered = false;
+    view.renderQuestion(question, index, total);
+    // the host puts the questions on the board; only players answer
+    if (gameState.room.isHost) {
+      view.toggleAnswerButtons(true, false);
+      view.setFeedback('Waiting for answers...', null);
+    }
+    view.startCountdown(timeLimitSeconds);
+  });
+
+  // Answers go to the server, which checks them; this page only learns the result at the reveal
+  function sendRoomAnswer({ selectedIndex, selectedIndices, timedOut }) {
+    if (gameState.room.isHost || gameState.hasAnswered || gameState.isComplete) return;
+    const q = gameState.questions[gameState.currentQuestionIndex];
+    if (!q) return;
+    gameState.hasAnswered = true;
+    view.stopCountdown();
+    view.toggleAnswerButtons(true, false);
+    if (timedOut) { view.setFeedback("Time's up!", false); return; }
+    const picks = q.multiSelect ? (selectedIndices || []) : [selectedIndex];
+    const buttons = Array.from(document.querySelectorAll('.answer-option'));
+    picks.forEach(index => {
+      const button = buttons[index];
+      if (button) { button.classList.add('selected'); button.setAttribute('aria-selected', 'true'); }
+    });
+    roomClient.send('answer', { index: gameState.currentQuestionIndex, selectedIndices: picks });
+    view.setFeedback('Answer sent. Waiting for the others...', null);
+  }
+
+  document.addEventListener('room:reveal', (e) => {
+    if (!gameState.room) return;
+    const { index, correctIndices, correctAnswerLabel, optionLabels, explanation, results, standings } = e.detail;
+    const q = gameState.questions[index];
+    if (!q) return;
+    gameState.hasAnswered = true;
+    view.stopCountdown();
+    view.toggleAnswerButtons(true, false);
+    const buttons = Array.from(document.querySelectorAll('.answer-option'));
+    view.labelAnsweredImageOptions(q, optionLabels);
+    correctIndices.forEach(choice => {
+      const button = buttons[choice];
+      if (button) button.classList.add('correct');
+      try { button.setAttribute('aria-label', `${optionLabels[choice]}. Correct answer.`); } catch (err) {}
+    });
+    if (gameState.room.isHost) {
+      const rightCount = results.filter(result => result.correct).length;
+      view.setFeedback(`The answer is ${correctAnswerLabel}. ${rightCount} of ${results.length} got it right.`, rightCount > 0);
+    } else {
+      const own = results.find(result => result.playerId === gameState.room.playerId);
+      own?.selectedIndices.filter(choice => !correctIndices.includes(choice)).forEach(choice => {
+        const button = buttons[choice];
+        if (button) button.classList.add('incorrect');
+      });
+      if (own?.correct) view.setFeedback(`${explanation || 'Correct!'} +${own.points} points.`, true);
+      else view.setFeedback(`${own?.answered ? 'Not quite.' : "Time's up!"} The correct answer is ${correctAnswerLabel}.`, false);
+    }
+    view.renderRoomPlayers(standings, gameState.room.playerId);
+  });
+
+  document.addEventListener('room:quiz-finished', (e) => {
+    if (!gameState.room) return;
+    const standings = e.detail.standings || [];
+    gameState.isComplete = true;
+    view.hideCountdown();
+    view.toggleAnswerButtons(true, false);
+    const best = standings.length > 0 ? standings[0].score : 0;
+    const leaders = standings.filter(player => player.score === best).map(player => player.name);
+    const announcement = leaders.length === 1 ? `${leaders[0]} wins with ${best} points!` : `It's a tie between ${leaders.join(' and ')} with ${best} points!`;
+    view.setFeedback(standings.length > 0 ? announcement : 'Quiz complete!', true);
+    view.renderRoomPlayers(standings, gameState.room.playerId);
+    view.setRoomStartEnabled(true);
+    view.setRoomStatus(gameState.room.isHost
+      ? `Quiz complete! Start again for another round in room ${gameState.room.code}, or leave to close it.`
+      : 'Quiz complete! Stay for another round or leave the room.');
+  });
+
+  document.addEventListener('room:error', (e) => {
+    view.setRoomStatus(e.detail.message);
+    view.setRoomStartEnabled(true);
+  });
+
+  function leaveRoom(message) {
+    const wasInRoom = Boolean(gameState.room);
+    gameState.room = null;
+    view.setRoomState(null);
+    view.setRoomStatus(message);
+    if (!wasInRoom) return;
+    view.hideCountdown();
+    gameState.questions = [];
+    gameState.isComplete = false;
+    view.enableGameControls();
+    view.resetRightPaneBeforeQuiz();
+    if (gameState.currentGameType && !SELF_PICKING_TYPES.includes(gameState.currentGameType)) enableLeftPane(gameState.currentGameType);
+  }
+
+  document.addEventListener('room:room-closed', (e) => {
+    if (roomClient) roomClient.disconnect();
+    leaveRoom(e.detail.message);
+  });
+
+  document.addEventListener('room:disconnected', () => {
+    if (gameState.room) leaveRoom('Lost the connection to the classroom server.');
+  });
+
+  // Show any saved personal bests and the current quiz code straight away
+  renderHistory();
+  view.setQuizCodeValue(quizEngine.getQuizCode());
+
+  // Opened from a challenge link: set it up as soon as country data is available
+  const linkedChallenge = typeof window.readChallengeParams === 'function' ? window.readChallengeParams() : null;
+  if (linkedChallenge) {
+    if (quizEngine.countries.length > 0) applyChallenge(linkedChallenge);
+    else {
+      document.addEventListener('quiz:ready', (e) => {
+        if (e?.detail?.loaded) applyChallenge(linkedChallenge);
+      }, { once: true });
+    }
+  }
+
+  // Difficulty helpers for adaptive progression. Difficulty stays fixed in the daily, in quiz code
+  // replays (the code does not record changes) and in hot-seat games (streaks mean nothing when
+  // players take turns).
+  function isAdaptiveDifficulty() {
+    return !gameState.dailyKey && !gameState.isCodeReplay && !isHotSeat();
+  }
+
   function difficultyOrder() { return ['easy','medium','hard']; }
 
   function upgradeDifficulty() {
@@ -0,0 +1,87 @@
+/**
+ * country-cache.js
+ * CountryCache - persists the normalized country list in IndexedDB together with the
+ * time it was saved, so the Model can start instantly instead of re-downloading it on
+ * every page load. IndexedDB being unavailable (private browsing, old browsers) is not
+ * an error: read() then resolves to null and write() does nothing.
+ */
+
+const COUNTRY_CACHE_DB_NAME = 'geocompare';
+const COUNTRY_CACHE_DB_VERSION = 1;
+const COUNTRY_CACHE_STORE = 'countries';
+const COUNTRY_CACHE_KEY = 'all';
+
+class CountryCache {
+  constructor(dbName = COUNTRY_CACHE_DB_NAME) {
+    this.dbName = dbName;
+    this.dbPromise = null;
+  }
+
+  isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  open() {
+    if (!this.isSupported()) return Promise.resolve(null);
+    if (this.dbPromise) return this.dbPromise;
+    this.dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(this.dbName, COUNTRY_CACHE_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(COUNTRY_CACHE_STORE)) db.createObjectStore(COUNTRY_CACHE_STORE);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('CountryCache: unable to open IndexedDB', request.error);
+        resolve(null);
+      };
+    });
+    return this.dbPromise;
+  }
+
+  /**
+   * @returns {Promise<{countries: Array, savedAt: number, source: string}|null>}
+   */
+  async read() {
+    const db = await this.open();
+    if (!db) return null;
+    return new Promise((resolve) => {
+      const request = db.transaction(COUNTRY_CACHE_STORE, 'readonly').objectStore(COUNTRY_CACHE_STORE).get(COUNTRY_CACHE_KEY);
+      request.onsuccess = () => {
+        const entry = request.result;
+        resolve(entry && Array.isArray(entry.countries) && entry.countries.length ? entry : null);
+      };
+      request.onerror = () => {
+        console.warn('CountryCache: read failed', request.error);
+        resolve(null);
+      };
+    });
+  }
+
+  async write(countries, source) {
+    const db = await this.open();
+    if (!db) return;
+    await new Promise((resolve) => {
+      const transaction = db.transaction(COUNTRY_CACHE_STORE, 'readwrite');
+      transaction.objectStore(COUNTRY_CACHE_STORE).put({ countries, source, savedAt: Date.now() }, COUNTRY_CACHE_KEY);
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => {
+        console.warn('CountryCache: write failed', transaction.error);
+        resolve();
+      };
+    });
+  }
+
+  async clear() {
+    const db = await this.open();
+    if (!db) return;
+    await new Promise((resolve) => {
+      const transaction = db.transaction(COUNTRY_CACHE_STORE, 'readwrite');
+      transaction.objectStore(COUNTRY_CACHE_STORE).delete(COUNTRY_CACHE_KEY);
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => resolve();
+    });
+  }
+}
+
+window.CountryCache = CountryCache;
@@ -0,0 +1,75 @@
+/**
+ * daily-store.js
+ * DailyStore - remembers the daily quiz result for each date in localStorage, so the daily can
+ * only be played once and its result shared afterwards. A result is saved when the daily starts
+ * and after every answer, which means a daily abandoned half way still counts as played. Storage
+ * failures are logged and otherwise ignored, like ScoreStore.
+ */
+
+const DAILY_STORAGE_KEY = 'geocompare:daily-results';
+// Only the most recent days are kept
+const DAILY_RESULTS_LIMIT = 60;
+// Squares per line in the shared result grid
+const DAILY_GRID_ROW_LENGTH = 5;
+const DAILY_GRID_MARKS = { correct: '🟩', wrong: '🟥', timeout: '⬜' };
+
+class DailyStore {
+  constructor(storageKey = DAILY_STORAGE_KEY) {
+    this.storageKey = storageKey;
+  }
+
+  getResults() {
+    try {
+      const parsed = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (err) {
+      console.warn('DailyStore: unable to read daily results', err);
+      return [];
+    }
+  }
+
+  /**
+   * @param {string} date - daily key, e.g. "2025-03-09"
+   * @returns {Object|null} the saved result for that date
+   */
+  getResult(date) {
+    return this.getResults().find(result => result && result.date === date) || null;
+  }
+
+  /**
+   * Save (or replace) the result for a date.
+   * @param {Object} result
+   * @param {string} result.date - daily key
+   * @param {number} result.score - correct answers so far
+   * @param {number} result.total - questions in the daily
+   * @param {Array<'correct'|'wrong'|'timeout'>} result.marks - outcome of each question answered, in order
+   * @param {boolean} result.complete - whether every question was answered
+   */
+  saveResult(result) {
+    const results = this.getResults().filter(item => item && item.date !== result.date);
+    results.push(result);
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(results.slice(-DAILY_RESULTS_LIMIT)));
+    } catch (err) {
+      console.warn('DailyStore: unable to save daily result', err);
+    }
+  }
+}
+
+/**
+ * Spoiler-free result to paste into a chat: the score and one square per question.
+ * @param {Object} result - as saved by DailyStore.saveResult()
+ * @param {string} [title='World Quiz Daily']
+ * @returns {string}
+ */
+function formatDailyShareText(result, title = 'World Quiz Daily') {
+  const squares = (result.marks || []).map(mark => DAILY_GRID_MARKS[mark] || DAILY_GRID_MARKS.wrong);
+  const rows = [];
+  for (let i = 0; i < squares.length; i += DAILY_GRID_ROW_LENGTH) {
+    rows.push(squares.slice(i, i + DAILY_GRID_ROW_LENGTH).join(''));
+  }
+  return [`${title} ${result.date} ${result.score}/${result.total}`, ...rows].join('\n');
+}
+
+window.DailyStore = DailyStore;
+window.formatDailyShareText = formatDailyShareText;
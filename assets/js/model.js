@@ -6,51 +6,337 @@
  */
 
 const REST_COUNTRIES_API_URL = 'https://restcountries.com/v3.1/all?fields=name,population,capital,cca3,region,languages,currencies,timezones,area,flags';
+// Snapshot of the same fields shipped with the app, used when the API is unreachable
+const BUNDLED_COUNTRIES_URL = 'assets/data/countries.json';
+// Give up on a remote source after this long so offline machines fall back quickly
+const DATA_SOURCE_TIMEOUT_MS = 8000;
+// Cached country data older than this is refreshed in the background (7 days)
+const DEFAULT_CACHE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
 const REST_COUNTRIES_SAMPLE_SIZE = 10;
+// A country is in the focus country's "population band" when its population is within this factor either way
+const FOCUS_POPULATION_BAND = 3;
+// Regions as reported by the API. Each lists the other regions in order of how plausible
+// they are as a wrong answer (nearest first), used for region question distractors.
+const REGION_NEIGHBOURS = {
+  Africa: ['Asia', 'Europe', 'Americas', 'Oceania'],
+  Americas: ['Oceania', 'Europe', 'Africa', 'Asia'],
+  Asia: ['Oceania', 'Europe', 'Africa', 'Americas'],
+  Europe: ['Asia', 'Africa', 'Americas', 'Oceania'],
+  Oceania: ['Asia', 'Americas', 'Africa', 'Europe'],
+  Antarctic: ['Oceania', 'Americas', 'Africa', 'Europe']
+};
+// Comparison questions skip pairs whose values are closer than this ratio, per distractor closeness
+// (near-ties are never fair; easy pairs should be obvious)
+const COMPARISON_MIN_RATIOS = { far: 2, mixed: 1.3, near: 1.1 };
+// Synthetic population distractors never exceed this (a little above the most populous country)
+const POPULATION_MAX_PLAUSIBLE = 1500000000;
+// Quiz codes are the 32-bit seed in base 36, zero-padded to this many characters
+const QUIZ_CODE_LENGTH = 7;
+// Types that can also be asked in reverse ("Which country uses the Krona?"); see setQuestionDirection()
+const REVERSIBLE_QUESTION_TYPES = ['population', 'currency', 'languages'];
+const QUESTION_DIRECTIONS = ['mixed', 'forward', 'reverse'];
+// Share of reversible questions asked in reverse when the direction is 'mixed'
+const REVERSE_QUESTION_CHANCE = 0.4;
+// Currency question variants: name ("Which currency is used in X?"), code ("Which currency has
+// code THB?") and symbol ("Which country uses ₩?"); one is picked at random from those with data
+const CURRENCY_QUESTION_VARIANTS = ['name', 'code', 'symbol'];
+// Symbols shared by more countries than this (e.g. "$", "€") are too ambiguous for symbol questions
+const CURRENCY_SYMBOL_MAX_COUNTRIES = 3;
+// Share of languages questions about multilingual countries asked as "select all that apply"
+const LANGUAGES_MULTI_SELECT_CHANCE = 0.35;
+// Population ranges offered by 'range' style questions; a population belongs to the first range below its max
+const POPULATION_RANGES = [
+  { max: 100000, label: 'Under 100,000' },
+  { max: 1000000, label: '100,000–1 million' },
+  { max: 5000000, label: '1–5 million' },
+  { max: 10000000, label: '5–10 million' },
+  { max: 25000000, label: '10–25 million' },
+  { max: 50000000, label: '25–50 million' },
+  { max: 100000000, label: '50–100 million' },
+  { max: 250000000, label: '100–250 million' },
+  { max: 1000000000, label: '250 million–1 billion' },
+  { max: Infinity, label: 'Over 1 billion' }
+];
+// Any two population options differ by at least this ratio, so none are near-duplicates
+const POPULATION_MIN_OPTION_RATIO = 1.04;
+// Attempts at a synthetic population distractor before giving up on the country
+const POPULATION_DISTRACTOR_ATTEMPTS = 40;
+// How many of the nearest UTC offsets timezone distractors are drawn from, per distractor closeness
+const TIMEZONE_DISTRACTOR_WINDOW = { far: 12, mixed: 6, near: 4 };
+// Label of a flag image whose data has no usable description
+const GENERIC_FLAG_DESCRIPTION = 'A national flag, no description available';
+// Question types that can be combined in a mixed quiz (endless 'compare' runs cannot)
+const MIXABLE_QUESTION_TYPES = ['population', 'currency', 'languages', 'capital', 'flags', 'region', 'timezones'];
+const DEFAULT_MIXED_QUESTION_TYPES = ['population', 'currency', 'languages'];
+// The daily quiz is the same for everyone on a given date: these settings replace the player's own
+const DAILY_QUESTION_COUNT = 10;
+const DAILY_DIFFICULTY = 'medium';
+const DAILY_QUESTION_TYPES = MIXABLE_QUESTION_TYPES;
+// UTC offsets in use around the world (minutes east of UTC), used to build timezone distractors
+const UTC_OFFSETS_IN_MINUTES = [
+  -720, -660, -600, -570, -540, -480, -420, -360, -300, -240, -210, -180, -120, -60,
+  0, 60, 120, 180, 210, 240, 270, 300, 330, 345, 360, 390, 420, 480, 525, 540, 570,
+  600, 630, 660, 720, 765, 780, 840
+];
+
+/**
+ * Country data sources. A source is a plain object with a `name` and an async `load()` that
+ * resolves to raw country records in the REST Countries v3.1 shape; QuizEngine normalizes them.
+ * Custom sources (e.g. a local file for tests) only need to follow the same shape.
+ */
+function createUrlDataSource(name, url, timeoutMs = DATA_SOURCE_TIMEOUT_MS) {
+  return {
+    name,
+    url,
+    async load() {
+      const controller = typeof AbortController === 'function' ? new AbortController() : null;
+      const timer = controller ? setTimeout(() => controller.abort(), timeoutMs) : null;
+      try {
+        const response = await fetch(url, controller ? { signal: controller.signal } : undefined);
+        if (!response.ok) {
+          throw new Error(`Failed to fetch countries from ${name} source: ${response.status} ${response.statusText}`);
+        }
+        return await response.json();
+      } finally {
+        if (timer) clearTimeout(timer);
+      }
+    }
+  };
+}
+
+function createRemoteDataSource() {
+  return createUrlDataSource('remote', REST_COUNTRIES_API_URL);
+}
+
+function createBundledDataSource() {
+  return createUrlDataSource('bundled', BUNDLED_COUNTRIES_URL);
+}
+
+function createCustomUrlDataSource(url) {
+  return createUrlDataSource('custom', url);
+}
+
+// mulberry32: a small, fast PRNG; the same 32-bit seed always yields the same sequence in [0, 1)
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function createRandomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+// Model events are CustomEvents on document; there is no document when the engine runs in
+// Node (see server/), so they are skipped there
+function emitQuizEvent(type, detail) {
+  if (typeof document === 'undefined') return;
+  document.dispatchEvent(new CustomEvent(type, { detail }));
+}
+
+// FNV-1a: turns a string such as a date key into a 32-bit seed
+function hashStringToSeed(text) {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
 
 class QuizEngine {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Array<{name: string, load: Function}>} [options.dataSources] - tried in order until one
+   * succeeds; defaults to the REST Countries API with the bundled snapshot as fallback.
+   * @param {CountryCache|null} [options.cache] - persistent cache for the normalized countries
+   * @param {number} [options.cacheMaxAgeMs] - age after which cached data is refreshed in the background
+   * @param {number} [options.seed] - seed for the question PRNG; a random one is picked when omitted
+   * @param {Function} [options.random] - custom PRNG returning numbers in [0, 1); replaces the seeded one
+   */
+  constructor(options = {}) {
+    this.dataSources = options.dataSources || [createRemoteDataSource(), createBundledDataSource()];
+    // name of the source the current data came from ('remote', 'bundled', 'custom', 'cache'...)
+    this.dataSourceName = null;
+    this.cache = options.cache || null;
+    this.cacheMaxAgeMs = options.cacheMaxAgeMs ?? DEFAULT_CACHE_MAX_AGE_MS;
+    // Every random choice (country pool, question order, options) goes through this.random(), so
+    // with the same seed and data the same quiz is generated; see setSeed()
+    this.customRandom = options.random || null;
+    this.seed = null;
+    this.setSeed(options.seed ?? createRandomSeed());
     this.countries = [];
+    // fresh data from a background refresh, held until applyRefreshedCountries()
+    this.refreshedCountries = null;
     this.countryPool = [];
+    // Scoring for the quiz in progress; see startSession() / recordAnswer()
     this.score = 0;
     this.wrong = 0;
     this.streak = 0;
+    this.missStreak = 0;
+    this.bestStreak = 0;
+    this.answers = [];
+    this.sessionInfo = { mode: null, difficulty: null };
     this.questionNumber = 0;
     this.totalQuestions = 10;
     this.difficulty = 'easy';
-    // Difficulty settings control how the pool is sampled and which countries are preferred
+    // 'forward' asks about a country, 'reverse' gives the answer and asks for the country,
+    // 'mixed' picks either at random for the types in REVERSIBLE_QUESTION_TYPES. Reverse questions
+    // are opt-in, so the existing modes keep asking about the country by default.
+    this.questionDirection = 'forward';
+    // Difficulty settings control how the pool is sampled and which countries are preferred.
+    // `region` restricts the pool to one region (null = whole world); see setRegion().
+    // `popularityBand` is the slice of candidates (ranked by popularity) questions prefer, and
+    // `distractorCloseness` how similar wrong answers are to the right one; see orderByDifficulty().
+    // `populationSpread` is the [min, max] ratio between a population distractor and the real figure,
+    // and `populationAnswerStyle` how population options read: 'range' ("10–25 million"),
+    // 'compact' ("38.4M") or 'exact' ("38,386,000 people").
     this.difficultySettings = {
-      easy: { countries: 30, popularOnly: true },
-      medium: { countries: 100, popularOnly: false },
-      hard: { countries: 200, popularOnly: false }
+      easy: { countries: 30, popularOnly: true, region: null, popularityBand: [0, 0.4], distractorCloseness: 'far', populationSpread: [3, 20], populationAnswerStyle: 'range' },
+      medium: { countries: 100, popularOnly: false, region: null, popularityBand: [0.2, 0.8], distractorCloseness: 'mixed', populationSpread: [1.3, 3], populationAnswerStyle: 'compact' },
+      hard: { countries: 200, popularOnly: false, region: null, popularityBand: [0.5, 1], distractorCloseness: 'near', populationSpread: [1.04, 1.15], populationAnswerStyle: 'exact' }
     };
   }
 
-  // Initialize by loading countries and populating a pool
+  // Initialize by loading countries (from cache when possible) and populating a pool
   async init() {
     try {
-      await this.loadFromRestCountries();
+      const cached = await this.readCache();
+      if (cached) {
+        this.countries = cached.countries;
+        this.dataSourceName = 'cache';
+      } else {
+        await this.loadCountries();
+        await this.writeCache();
+      }
       this.populateCountryPool();
       // Notify listeners that quiz is ready and pool is available
-      document.dispatchEvent(new CustomEvent('quiz:ready', {
-        detail: { loaded: this.countries ? this.countries.length : 0 }
-      }));
-      document.dispatchEvent(new CustomEvent('quiz:pool-updated', {
-        detail: { pool: this.countryPool }
-      }));
+      emitQuizEvent('quiz:ready', { loaded: this.countries ? this.countries.length : 0, source: this.dataSourceName });
+      emitQuizEvent('quiz:pool-updated', { pool: this.countryPool });
+      if (cached && Date.now() - cached.savedAt > this.cacheMaxAgeMs) {
+        // Start from the stale copy now; swap in fresh data once it arrives
+        this.refreshCountries().catch(err => console.warn('Background country refresh failed; keeping cached data.', err));
+      }
     } catch (err) {
       console.error('QuizEngine.init failed:', err);
+      // Let the View tell the player nothing could be loaded
+      emitQuizEvent('quiz:ready', { loaded: 0, source: null });
       throw err;
     }
   }
 
-  async loadFromRestCountries() {
-    const response = await fetch(REST_COUNTRIES_API_URL);
-    if (!response.ok) {
-      throw new Error(`Failed to fetch countries: ${response.status} ${response.statusText}`);
+  /**
+   * Re-download the countries from the live sources, update the cache and emit
+   * quiz:data-refreshed. The bundled snapshot is skipped: it is older than any cache. The new data
+   * is only held, so a quiz in progress keeps its countries; the Controller calls
+   * applyRefreshedCountries() when it is safe to switch.
+   */
+  async refreshCountries() {
+    const liveSources = this.dataSources.filter(source => source.name !== 'bundled');
+    if (liveSources.length === 0) return;
+    const { countries, sourceName } = await this.fetchCountries(liveSources);
+    if (this.cache) {
+      try {
+        await this.cache.write(countries, sourceName);
+      } catch (err) {
+        console.warn('Caching countries failed', err);
+      }
+    }
+    this.refreshedCountries = { countries, sourceName };
+    emitQuizEvent('quiz:data-refreshed', { loaded: countries.length, source: sourceName });
+  }
+
+  /**
+   * Switch to the data from the last background refresh, if any. The pool is not rebuilt.
+   * @returns {boolean} whether the countries changed
+   */
+  applyRefreshedCountries() {
+    if (!this.refreshedCountries) return false;
+    this.countries = this.refreshedCountries.countries;
+    this.dataSourceName = this.refreshedCountries.sourceName;
+    this.refreshedCountries = null;
+    return true;
+  }
+
+  /**
+   * @param {number} maxAgeMs - cached data older than this is refreshed in the background on init()
+   */
+  setCacheMaxAge(maxAgeMs) {
+    if (!Number.isFinite(maxAgeMs) || maxAgeMs < 0) return;
+    this.cacheMaxAgeMs = maxAgeMs;
+  }
+
+  async readCache() {
+    if (!this.cache) return null;
+    try {
+      return await this.cache.read();
+    } catch (err) {
+      console.warn('Reading cached countries failed', err);
+      return null;
+    }
+  }
+
+  // Only live data is cached: caching the bundled snapshot would hide it from the staleness check
+  async writeCache() {
+    if (!this.cache || this.dataSourceName === 'bundled' || this.countries.length === 0) return;
+    try {
+      await this.cache.write(this.countries, this.dataSourceName);
+    } catch (err) {
+      console.warn('Caching countries failed', err);
+    }
+  }
+
+  /**
+   * Replace the list of data sources used by loadCountries(), in priority order.
+   */
+  setDataSources(sources) {
+    if (!Array.isArray(sources) || sources.length === 0) return;
+    this.dataSources = sources;
+  }
+
+  /**
+   * Load countries from the first data source that succeeds, falling back down the list.
+   * @returns {Promise<string>} the name of the source that was used
+   */
+  async loadCountries() {
+    const { countries, sourceName } = await this.fetchCountries(this.dataSources);
+    this.countries = countries;
+    this.dataSourceName = sourceName;
+    return sourceName;
+  }
+
+  // Normalized countries from the first of the sources that succeeds; nothing is stored
+  async fetchCountries(sources) {
+    const failures = [];
+    for (const source of sources) {
+      try {
+        const data = await source.load();
+        const countries = this.normalizeCountries(data);
+        if (countries.length === 0) throw new Error(`No usable countries in ${source.name} source`);
+        return { countries, sourceName: source.name };
+      } catch (err) {
+        console.warn(`Country data source "${source.name}" failed, trying the next one.`, err);
+        failures.push(`${source.name}: ${err.message}`);
+      }
     }
-    const data = await response.json();
-    this.countries = data
+    throw new Error(`Unable to load country data (${failures.join('; ') || 'no data sources configured'})`);
+  }
+
+  async loadFromRestCountries() {
+    const data = await createRemoteDataSource().load();
+    this.countries = this.normalizeCountries(data);
+    this.dataSourceName = 'remote';
+  }
+
+  // Map raw REST Countries v3.1 records onto the flat shape the quiz works with
+  normalizeCountries(data) {
+    if (!Array.isArray(data)) return [];
+    return data
       .filter(country => country?.name?.common && country.population)
       .map(country => ({
         name: country.name.common,
@@ -61,6 +347,10 @@ class QuizEngine {
         region: country.region || 'Unknown',
         languages: country.languages ? Object.values(country.languages) : [],
         currencies: country.currencies ? Object.values(country.currencies).map(c => c.name) : [],
+        // ISO 4217 code and symbol for each entry of `currencies` (same order)
+        currencyDetails: country.currencies
+          ? Object.entries(country.currencies).map(([code, currency]) => ({ code, name: currency.name, symbol: currency.symbol || null }))
+          : [],
         timezones: country.timezones || [],
         flag: country.flags?.png || country.flags?.svg || '',
         flagAlt: country.flags?.alt || `Flag of ${country.name?.common || 'country'}`,
@@ -69,21 +359,24 @@ class QuizEngine {
   }
 
   populateCountryPool() {
+    // the pool depends only on the seed and settings, whatever was generated before
+    this.resetRandom();
     if (!Array.isArray(this.countries) || this.countries.length === 0) {
       this.countryPool = [];
-      document.dispatchEvent(new CustomEvent('quiz:pool-updated', { detail: { pool: this.countryPool } }));
+      emitQuizEvent('quiz:pool-updated', { pool: this.countryPool });
       return;
     }
 
-    const settings = this.difficultySettings[this.difficulty] || this.difficultySettings.easy;
+    const settings = this.getCurrentDifficultySettings();
+    const countriesInScope = this.getCountriesInScope();
 
     let candidateList = [];
     if (settings.popularOnly) {
       // prefer high-popularity countries for easy mode
-      candidateList = [...this.countries].sort((a, b) => (b.popularity || 0) - (a.popularity || 0)).slice(0, settings.countries);
+      candidateList = [...countriesInScope].sort((a, b) => (b.popularity || 0) - (a.popularity || 0)).slice(0, settings.countries);
     } else {
       // use a shuffled subset for medium/hard
-      candidateList = this.shuffleArray(this.countries).slice(0, Math.min(settings.countries, this.countries.length));
+      candidateList = this.shuffleArray(countriesInScope).slice(0, Math.min(settings.countries, countriesInScope.length));
     }
 
     // From the candidate list, pick REST_COUNTRIES_SAMPLE_SIZE random entries to show in the left pane
@@ -91,7 +384,52 @@ class QuizEngine {
     this.countryPool = pool;
 
     // Emit an event so the View can re-render left-pane without the Model touching the DOM
-    document.dispatchEvent(new CustomEvent('quiz:pool-updated', { detail: { pool: this.countryPool } }));
+    emitQuizEvent('quiz:pool-updated', { pool: this.countryPool });
+  }
+
+  /**
+   * Seed the PRNG behind every random choice. The country pool and each new question stream
+   * restart the sequence from the seed, so a seed (shared as a quiz code) reproduces them.
+   * Emits quiz:seed-changed with the new quiz code.
+   * @param {number} seed - unsigned 32-bit integer
+   */
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+    this.resetRandom();
+    emitQuizEvent('quiz:seed-changed', { seed: this.seed, code: this.getQuizCode() });
+  }
+
+  // Pick a fresh random seed (a new round); returns the new quiz code
+  reseed() {
+    this.setSeed(createRandomSeed());
+    return this.getQuizCode();
+  }
+
+  getSeed() {
+    return this.seed;
+  }
+
+  resetRandom() {
+    this.random = this.customRandom || createSeededRandom(this.seed);
+  }
+
+  // The seed written in base 36, e.g. "1T3XQ9B" - short enough to read out or type
+  getQuizCode() {
+    return this.seed.toString(36).toUpperCase().padStart(QUIZ_CODE_LENGTH, '0');
+  }
+
+  /**
+   * Seed the PRNG from a quiz code made by getQuizCode().
+   * @param {string} code
+   * @returns {boolean} false (and nothing changes) when the code is not valid
+   */
+  setQuizCode(code) {
+    const normalized = String(code || '').trim().toUpperCase();
+    if (!/^[0-9A-Z]{1,7}$/.test(normalized)) return false;
+    const seed = parseInt(normalized, 36);
+    if (!Number.isSafeInteger(seed) || seed > 0xFFFFFFFF) return false;
+    this.setSeed(seed);
+    return true;
   }
 
   /**
@@ -112,18 +450,135 @@ class QuizEngine {
       this.populateCountryPool();
     }
     // Notify listeners that difficulty changed (UI can sync selector)
-    document.dispatchEvent(new CustomEvent('quiz:difficulty-changed', { detail: { difficulty: this.difficulty } }));
+    emitQuizEvent('quiz:difficulty-changed', { difficulty: this.difficulty });
   }
 
   getDifficulty() {
     return this.difficulty;
   }
 
+  /**
+   * Restrict the country pool to a single region (e.g. 'Africa') for every difficulty level,
+   * so adaptive difficulty changes keep the round in that region.
+   * @param {string|null} region - a key of REGION_NEIGHBOURS, or null/'all' for the whole world
+   * @param {boolean} [reload=true] - whether to repopulate the visible country pool immediately
+   */
+  setRegion(region, reload = true) {
+    const nextRegion = region && region !== 'all' ? region : null;
+    if (nextRegion && !REGION_NEIGHBOURS[nextRegion]) return;
+    Object.values(this.difficultySettings).forEach(settings => { settings.region = nextRegion; });
+    if (reload) this.populateCountryPool();
+    emitQuizEvent('quiz:region-changed', { region: nextRegion });
+  }
+
+  getRegion() {
+    return this.getCurrentDifficultySettings().region || null;
+  }
+
+  /**
+   * Choose how population, currency and languages questions are asked.
+   * @param {string} direction - 'forward' ("What is the population of X?"), 'reverse' ("Which country
+   * has a population of about 5.1 million?") or 'mixed' (either, at random)
+   */
+  setQuestionDirection(direction) {
+    if (!QUESTION_DIRECTIONS.includes(direction)) return;
+    this.questionDirection = direction;
+  }
+
+  getQuestionDirection() {
+    return this.questionDirection;
+  }
+
+  // Countries allowed by the current difficulty settings (all of them unless a region is set)
+  getCountriesInScope() {
+    const region = this.getRegion();
+    if (!region) return this.countries;
+    return this.countries.filter(country => country.region === region);
+  }
+
+  /**
+   * Start scoring a new quiz: totals and streaks are reset and quiz:score-changed is emitted.
+   * @param {{mode: string, difficulty: string}} [info] - what is being played, kept for the score history
+   */
+  startSession({ mode = null, difficulty = this.difficulty } = {}) {
+    this.score = 0;
+    this.wrong = 0;
+    this.streak = 0;
+    this.missStreak = 0;
+    this.bestStreak = 0;
+    this.answers = [];
+    this.sessionInfo = { mode, difficulty };
+    this.emitScoreChanged();
+  }
+
+  /**
+   * Record the player's answer to one question and emit quiz:score-changed.
+   * @param {Object} answer
+   * @param {string} answer.country
+   * @param {string} answer.type
+   * @param {boolean} answer.correct
+   * @param {number} [answer.responseMs] - time from the question appearing to the answer
+   * @param {boolean} [answer.timedOut] - true when the countdown ran out
+   * @returns {Object} the updated totals (see getTotals)
+   */
+  recordAnswer({ country, type, correct, responseMs = null, timedOut = false }) {
+    const isCorrect = Boolean(correct);
+    this.answers.push({ country, type, correct: isCorrect, responseMs, timedOut: Boolean(timedOut) });
+    if (isCorrect) {
+      this.score += 1;
+      this.streak += 1;
+      this.missStreak = 0;
+      this.bestStreak = Math.max(this.bestStreak, this.streak);
+    } else {
+      this.wrong += 1;
+      this.missStreak += 1;
+      this.streak = 0;
+    }
+    this.emitScoreChanged();
+    return this.getTotals();
+  }
+
+  /**
+   * @returns {{score: number, wrong: number, answered: number, streak: number, missStreak: number, bestStreak: number, averageResponseMs: number|null}}
+   */
+  getTotals() {
+    const timedAnswers = this.answers.filter(answer => Number.isFinite(answer.responseMs));
+    const averageResponseMs = timedAnswers.length
+      ? timedAnswers.reduce((sum, answer) => sum + answer.responseMs, 0) / timedAnswers.length
+      : null;
+    return {
+      score: this.score,
+      wrong: this.wrong,
+      answered: this.answers.length,
+      streak: this.streak,
+      missStreak: this.missStreak,
+      bestStreak: this.bestStreak,
+      averageResponseMs
+    };
+  }
+
+  // Number of correct answers in a row
+  getStreak() {
+    return this.streak;
+  }
+
+  getAnswers() {
+    return this.answers.map(answer => ({ ...answer }));
+  }
+
+  getSessionInfo() {
+    return { ...this.sessionInfo };
+  }
+
+  emitScoreChanged() {
+    emitQuizEvent('quiz:score-changed', this.getTotals());
+  }
+
   // Utility methods and question generation (kept from original engine)
   shuffleArray(array) {
     const shuffled = [...array];
     for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Math.floor(this.random() * (i + 1));
       [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
     }
     return shuffled;
@@ -139,6 +594,12 @@ class QuizEngine {
     });
   }
 
+  // Flag URLs point at flagcdn.com. The bundled snapshot is what offline machines run on, where
+  // those images cannot load, so flag questions are only asked with live (or cached live) data.
+  hasFlagImages() {
+    return this.dataSourceName !== 'bundled';
+  }
+
   hasDataForType(country, type) {
     if (!country) return false;
     switch (type) {
@@ -148,19 +609,21 @@ class QuizEngine {
         return Array.isArray(country.currencies) && country.currencies.length > 0 && Boolean(country.currencies[0]);
       case 'languages':
         return Array.isArray(country.languages) && country.languages.length > 0 && Boolean(country.languages[0]);
+      case 'capital':
+        return typeof country.capital === 'string' && Boolean(country.capital) && country.capital !== 'N/A';
+      case 'flags':
+        return typeof country.flag === 'string' && Boolean(country.flag) && this.hasFlagImages();
+      case 'region':
+        return typeof country.region === 'string' && Boolean(REGION_NEIGHBOURS[country.region]);
+      case 'compare':
+        return Number.isFinite(country.population) && country.population > 0 && Number.isFinite(country.area) && country.area > 0;
+      case 'timezones':
+        return this.getUtcOffsets(country).length > 0;
       default:
         return false;
     }
   }
 
-  getCountriesForType(type, desiredCount) {
-    const basePool = this.countryPool.length ? [...this.countryPool] : this.shuffleArray(this.countries).slice(0, Math.max(desiredCount || REST_COUNTRIES_SAMPLE_SIZE, REST_COUNTRIES_SAMPLE_SIZE));
-    const filteredBase = basePool.filter(country => this.hasDataForType(country, type));
-    if (filteredBase.length > 0) return this.uniqueByName(filteredBase);
-    const extended = this.countries.filter(country => this.hasDataForType(country, type));
-    return this.uniqueByName([...filteredBase, ...extended]);
-  }
-
   collectUniqueValues(pool, key, excludeCountryName) {
     const seen = new Set();
     const values = [];
@@ -176,36 +639,245 @@ class QuizEngine {
     return values;
   }
 
-  generateQuestionSet(type, desiredCount = REST_COUNTRIES_SAMPLE_SIZE) {
-    const availableCountries = this.getCountriesForType(type, desiredCount);
-    if (!Array.isArray(availableCountries) || availableCountries.length === 0) return [];
-    const shuffledAvailable = this.shuffleArray(availableCountries);
-    const optionPool = this.uniqueByName([...availableCountries, ...this.countries]);
+  findCountryByName(name) {
+    if (!name) return null;
+    const target = name.trim().toLowerCase();
+    const match = country => country && country.name && country.name.toLowerCase() === target;
+    return this.countryPool.find(match) || this.countries.find(match) || null;
+  }
+
+  /**
+   * Countries "near" the focus country: those in the same region first, then
+   * those in a similar population band (within FOCUS_POPULATION_BAND of it).
+   * The focus country itself is never included.
+   */
+  getRelatedCountries(focusCountry, type) {
+    if (!focusCountry) return [];
+    const candidates = this.getCountriesInScope().filter(country => country.name !== focusCountry.name && this.hasDataForType(country, type));
+    const sameRegion = candidates.filter(country => country.region === focusCountry.region);
+    const focusPopulation = focusCountry.population || 0;
+    const inPopulationBand = candidates.filter(country => {
+      if (country.region === focusCountry.region || !focusPopulation || !country.population) return false;
+      const ratio = country.population / focusPopulation;
+      return ratio >= 1 / FOCUS_POPULATION_BAND && ratio <= FOCUS_POPULATION_BAND;
+    });
+    return this.uniqueByName([...this.shuffleArray(sameRegion), ...this.shuffleArray(inPopulationBand)]);
+  }
+
+  /**
+   * Plan a quiz whose questions are built one at a time by nextQuestion(). Because nothing is
+   * generated up front, a difficulty change made mid-quiz (e.g. by adaptive difficulty) shapes
+   * the very next question: which countries it asks about and how close its distractors are.
+   * @param {Object} plan
+   * @param {string[]} plan.types - question types; several types are mixed in equal numbers
+   * @param {number} [plan.count=10] - number of questions (Infinity for endless runs)
+   * @param {string|null} [plan.focusCountryName=null] - when given, the first question is about this
+   * country and the rest are about its regional / population-band neighbours
+   * @param {Array<{country: string, type: string}>} [plan.items] - ask exactly these pairs, in
+   * order, instead of choosing countries (e.g. review of missed questions); types is then ignored
+   * @returns {Object} stream state to pass to nextQuestion()
+   */
+  createQuestionStream({ types, count = REST_COUNTRIES_SAMPLE_SIZE, focusCountryName = null, items = null }) {
+    // same seed and settings -> same questions (answers only matter through adaptive difficulty)
+    this.resetRandom();
+    return {
+      types: Array.from(new Set(types || [])),
+      items: Array.isArray(items) ? [...items] : null,
+      count: Array.isArray(items) ? Math.min(count, items.length) : count,
+      focusCountry: this.findCountryByName(focusCountryName),
+      askedCountries: new Set(),
+      askedPerType: {},
+      produced: 0
+    };
+  }
+
+  /**
+   * Build the next question of a stream using the current difficulty settings.
+   * @returns {Object|null} the question, or null when the stream is finished or out of countries
+   */
+  nextQuestion(stream) {
+    if (!stream || stream.produced >= stream.count) return null;
+    if (stream.items) return this.nextItemQuestion(stream);
+    for (const type of this.getStreamTypeOrder(stream)) {
+      const question = this.buildStreamQuestion(stream, type);
+      if (!question) continue;
+      stream.produced += 1;
+      stream.askedCountries.add(question.country);
+      stream.askedPerType[type] = (stream.askedPerType[type] || 0) + 1;
+      return question;
+    }
+    return null;
+  }
+
+  // Pairs whose country or data has gone missing are skipped
+  nextItemQuestion(stream) {
+    while (stream.items.length > 0) {
+      const { country: countryName, type } = stream.items.shift();
+      const country = this.findCountryByName(countryName);
+      const question = country && this.hasDataForType(country, type) ? this.buildQuestionForType(type, country, this.countries) : null;
+      if (!question) continue;
+      stream.produced += 1;
+      stream.askedCountries.add(question.country);
+      return question;
+    }
+    return null;
+  }
+
+  // Least-asked types first (ties in random order) keeps a mixed quiz balanced. The opening
+  // question prefers a type the focus country has data for, so it can be about that country.
+  getStreamTypeOrder(stream) {
+    const order = this.shuffleArray(stream.types).sort((a, b) => (stream.askedPerType[a] || 0) - (stream.askedPerType[b] || 0));
+    if (stream.produced > 0 || !stream.focusCountry) return order;
+    return [
+      ...order.filter(type => this.hasDataForType(stream.focusCountry, type)),
+      ...order.filter(type => !this.hasDataForType(stream.focusCountry, type))
+    ];
+  }
+
+  buildStreamQuestion(stream, type) {
+    const focus = stream.focusCountry;
+    const opensWithFocus = stream.produced === 0 && focus && this.hasDataForType(focus, type);
+    const candidates = opensWithFocus ? [focus] : this.getStreamCandidates(stream, type);
+    for (const country of candidates) {
+      const question = this.buildQuestionForType(type, country, this.countries);
+      if (question) return question;
+    }
+    return null;
+  }
+
+  // Countries not yet asked in this stream: the focus country's neighbours (or the visible
+  // countryPool when there is no focus) first, then the rest of the countries in scope. The region
+  // selector limits every type except 'region'.
+  getStreamCandidates(stream, type) {
+    const isUsable = country => !stream.askedCountries.has(country.name) && this.hasDataForType(country, type);
+    // Region questions ask where a country is, so neighbours or a region-restricted pool would
+    // give every one the same answer: they draw on the whole world instead
+    if (type === 'region') return this.orderByDifficulty(this.countries.filter(isUsable));
+    const primary = (stream.focusCountry ? this.getRelatedCountries(stream.focusCountry, type) : this.countryPool).filter(isUsable);
+    const primaryNames = new Set(primary.map(country => country.name));
+    const rest = this.getCountriesInScope().filter(country => isUsable(country) && !primaryNames.has(country.name));
+    return [...this.orderByDifficulty(primary), ...this.orderByDifficulty(rest)];
+  }
+
+  getCurrentDifficultySettings() {
+    return this.difficultySettings[this.difficulty] || this.difficultySettings.easy;
+  }
+
+  /**
+   * Order candidate countries for the current difficulty: those inside the difficulty's
+   * popularityBand (a slice of the candidates ranked by popularity, so easy = best known)
+   * come first, each group shuffled.
+   */
+  orderByDifficulty(countries) {
+    const [from, to] = this.getCurrentDifficultySettings().popularityBand || [0, 1];
+    const ranked = [...countries].sort((a, b) => (b.popularity || 0) - (a.popularity || 0));
+    const start = Math.floor(from * ranked.length);
+    const end = Math.max(start + 1, Math.ceil(to * ranked.length));
+    const inBand = ranked.slice(start, end);
+    const outsideBand = [...ranked.slice(0, start), ...ranked.slice(end)];
+    return [...this.shuffleArray(inBand), ...this.shuffleArray(outsideBand)];
+  }
+
+  // 'far' | 'mixed' | 'near' - how similar distractors are to the correct answer
+  getDistractorCloseness() {
+    return this.getCurrentDifficultySettings().distractorCloseness || 'mixed';
+  }
+
+  /**
+   * Order distractor candidates by region: 'near' puts countries from the same region as
+   * `country` first (harder to tell apart), 'far' puts other regions first, 'mixed' ignores region.
+   */
+  orderByCloseness(candidates, country, closeness = this.getDistractorCloseness()) {
+    if (closeness === 'mixed') return this.shuffleArray(candidates);
+    const sameRegion = this.shuffleArray(candidates.filter(item => item.region === country.region));
+    const otherRegions = this.shuffleArray(candidates.filter(item => item.region !== country.region));
+    return closeness === 'near' ? [...sameRegion, ...otherRegions] : [...otherRegions, ...sameRegion];
+  }
+
+  drainQuestionStream(stream) {
     const questions = [];
-    const tried = new Set();
-    for (let i = 0; i < shuffledAvailable.length && questions.length < desiredCount; i++) {
-      const country = shuffledAvailable[i];
-      if (!country || tried.has(country.name)) continue;
-      tried.add(country.name);
-      const q = this.buildQuestionForType(type, country, optionPool);
-      if (q) questions.push(q);
+    let question = this.nextQuestion(stream);
+    while (question) {
+      questions.push(question);
+      question = this.nextQuestion(stream);
     }
-    if (questions.length < desiredCount) {
-      const fallbackPool = this.shuffleArray(this.countries).filter(c => !tried.has(c.name));
-      for (let i = 0; i < fallbackPool.length && questions.length < desiredCount; i++) {
-        const country = fallbackPool[i];
-        if (!this.hasDataForType(country, type)) continue;
-        const q = this.buildQuestionForType(type, country, optionPool);
-        if (q) {
-          questions.push(q);
-          tried.add(country.name);
-        }
-      }
+    return questions;
+  }
+
+  /**
+   * Build a whole question set up front for the given type.
+   * @param {string} type - quiz type, e.g. 'population'
+   * @param {number} [desiredCount=10] - number of questions wanted
+   * @param {string|null} [focusCountryName=null] - when given, the first question is about this
+   * country and the rest are about its regional / population-band neighbours.
+   */
+  generateQuestionSet(type, desiredCount = REST_COUNTRIES_SAMPLE_SIZE, focusCountryName = null) {
+    return this.drainQuestionStream(this.createQuestionStream({ types: [type], count: desiredCount, focusCountryName }));
+  }
+
+  /**
+   * Build a quiz mixing several question types in (as near as possible) equal numbers.
+   * Each question keeps its own `type` so the View can label its category.
+   * @param {string[]} [types] - types to mix; unknown or non-mixable types are ignored
+   * @param {number} [desiredCount=10]
+   * @param {string|null} [focusCountryName=null] - when given, the first question is about this country
+   */
+  generateMixedQuestionSet(types = DEFAULT_MIXED_QUESTION_TYPES, desiredCount = REST_COUNTRIES_SAMPLE_SIZE, focusCountryName = null) {
+    const mixTypes = types.filter(type => MIXABLE_QUESTION_TYPES.includes(type));
+    if (mixTypes.length === 0) return [];
+    return this.drainQuestionStream(this.createQuestionStream({ types: mixTypes, count: desiredCount, focusCountryName }));
+  }
+
+  /**
+   * Calendar date the daily quiz belongs to, in the player's local time.
+   * @param {Date} [date=new Date()]
+   * @returns {string} e.g. "2025-03-09"
+   */
+  getDailyKey(date = new Date()) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Build the daily quiz: a mixed set seeded from the date with fixed settings (difficulty, the
+   * whole world, both question directions, no focus country), so everyone with the same country
+   * data gets the same questions. The player's seed, settings and visible pool are left as they were.
+   * @param {string} [dateKey] - from getDailyKey(); today when omitted
+   * @returns {{date: string, difficulty: string, questions: Object[]}}
+   */
+  generateDailyQuiz(dateKey = this.getDailyKey()) {
+    const saved = {
+      seed: this.seed,
+      difficulty: this.difficulty,
+      region: this.getRegion(),
+      direction: this.questionDirection,
+      pool: this.countryPool
+    };
+    const setRegion = region => Object.values(this.difficultySettings).forEach(settings => { settings.region = region; });
+    try {
+      this.seed = hashStringToSeed(`daily:${dateKey}`);
+      this.difficulty = DAILY_DIFFICULTY;
+      this.questionDirection = 'mixed';
+      setRegion(null);
+      // without a pool every country in scope is a candidate, ordered by the daily difficulty
+      this.countryPool = [];
+      const questions = this.generateMixedQuestionSet(DAILY_QUESTION_TYPES, DAILY_QUESTION_COUNT);
+      return { date: dateKey, difficulty: DAILY_DIFFICULTY, questions };
+    } finally {
+      this.seed = saved.seed;
+      this.difficulty = saved.difficulty;
+      this.questionDirection = saved.direction;
+      setRegion(saved.region);
+      this.countryPool = saved.pool;
+      this.resetRandom();
     }
-    return questions.slice(0, desiredCount);
   }
 
   buildQuestionForType(type, country, pool) {
+    if (this.shouldAskInReverse(type)) {
+      const reverseQuestion = this.buildReverseQuestion(type, country, pool);
+      if (reverseQuestion) return reverseQuestion;
+    }
     switch (type) {
       case 'population':
         return this.buildPopulationQuestion(country, pool);
@@ -213,18 +885,122 @@ class QuizEngine {
         return this.buildCurrencyQuestion(country, pool);
       case 'languages':
         return this.buildLanguagesQuestion(country, pool);
+      case 'capital':
+        return this.buildCapitalQuestion(country, pool);
+      case 'flags':
+        return this.buildFlagQuestion(country, pool);
+      case 'region':
+        return this.buildRegionQuestion(country);
+      case 'compare':
+        return this.buildComparisonQuestion(country, pool);
+      case 'timezones':
+        return this.buildTimezoneQuestion(country, pool);
+      default:
+        return null;
+    }
+  }
+
+  shouldAskInReverse(type) {
+    if (!REVERSIBLE_QUESTION_TYPES.includes(type) || this.questionDirection === 'forward') return false;
+    return this.questionDirection === 'reverse' || this.random() < REVERSE_QUESTION_CHANCE;
+  }
+
+  buildReverseQuestion(type, country, pool) {
+    switch (type) {
+      case 'population':
+        return this.buildReversePopulationQuestion(country, pool);
+      case 'currency':
+        return this.buildReverseCurrencyQuestion(country, pool);
+      case 'languages':
+        return this.buildReverseLanguagesQuestion(country, pool);
       default:
         return null;
     }
   }
 
+  /**
+   * Build a question whose options are country names, `country` being the answer.
+   * @param {string} type - question type
+   * @param {Object} country - the correct country
+   * @param {Array} distractors - candidate wrong countries in order of preference (the first three usable are used)
+   * @param {string} questionText
+   * @param {string} explanation
+   */
+  buildCountryChoiceQuestion(type, country, distractors, questionText, explanation) {
+    const options = this.uniqueByName([country, ...distractors])
+      .slice(0, 4)
+      .map(item => ({ label: item.name, value: item.name }));
+    if (options.length < 4) return null;
+    const shuffledOptions = this.shuffleArray(options);
+    return {
+      type,
+      country: country.name,
+      question: questionText,
+      options: shuffledOptions,
+      correctIndex: shuffledOptions.findIndex(option => option.value === country.name),
+      correctAnswerLabel: country.name,
+      explanation
+    };
+  }
+
+  // "Which country has a population of about 5.1 million?" - distractor populations follow the
+  // difficulty's populationSpread where possible and always differ once rounded
+  buildReversePopulationQuestion(country, pool) {
+    if (!this.hasDataForType(country, 'population')) return null;
+    const [minRatio, maxRatio] = this.getCurrentDifficultySettings().populationSpread || [1.3, 3];
+    const ratioTo = item => Math.max(item.population, country.population) / Math.min(item.population, country.population);
+    const correctLabel = this.formatApproximatePopulation(country.population);
+    const candidates = pool.filter(item => item.name !== country.name && this.hasDataForType(item, 'population')
+      && ratioTo(item) >= minRatio && this.formatApproximatePopulation(item.population) !== correctLabel);
+    const inSpread = this.shuffleArray(candidates.filter(item => ratioTo(item) <= maxRatio));
+    const outsideSpread = candidates.filter(item => ratioTo(item) > maxRatio).sort((a, b) => ratioTo(a) - ratioTo(b));
+    return this.buildCountryChoiceQuestion(
+      'population',
+      country,
+      [...inSpread, ...outsideSpread],
+      `Which country has a population of about ${correctLabel}?`,
+      `${country.name} has a population of about ${this.formatPopulation(country.population)}.`
+    );
+  }
+
+  // "Which country uses the Krona?" - no distractor uses that currency
+  buildReverseCurrencyQuestion(country, pool) {
+    if (!this.hasDataForType(country, 'currency')) return null;
+    const currency = country.currencies[0];
+    const candidates = pool.filter(item => item.name !== country.name && this.hasDataForType(item, 'currency') && !item.currencies.includes(currency));
+    return this.buildCountryChoiceQuestion(
+      'currency',
+      country,
+      this.orderByCloseness(candidates, country),
+      `Which country uses the ${currency}?`,
+      `${country.name} uses the ${this.describeCurrency(country)}.`
+    );
+  }
+
+  // "Where is Tagalog spoken?" - asks about one of the country's official languages; no distractor speaks it
+  buildReverseLanguagesQuestion(country, pool) {
+    if (!this.hasDataForType(country, 'languages')) return null;
+    const language = country.languages[Math.floor(this.random() * country.languages.length)];
+    const candidates = pool.filter(item => item.name !== country.name && this.hasDataForType(item, 'languages') && !item.languages.includes(language));
+    return this.buildCountryChoiceQuestion(
+      'languages',
+      country,
+      this.orderByCloseness(candidates, country),
+      `Where is ${language} spoken?`,
+      this.describeOfficialLanguages(country)
+    );
+  }
+
   buildPopulationQuestion(country, pool) {
     if (!this.hasDataForType(country, 'population')) return null;
+    const answerStyle = this.getCurrentDifficultySettings().populationAnswerStyle || 'exact';
+    if (answerStyle === 'range') return this.buildPopulationRangeQuestion(country);
     const correctValue = country.population;
-    const rawOptions = this.generatePopulationOptions(correctValue, pool, country.name);
+    const formatLabel = value => (answerStyle === 'compact' ? this.formatCompactPopulation(value) : this.formatPopulation(value));
+    const rawOptions = this.generatePopulationOptions(correctValue, pool, country.name, formatLabel);
     const uniqueOptions = Array.from(new Set(rawOptions)).slice(0, 4);
     if (!uniqueOptions.includes(correctValue) || uniqueOptions.length < 4) return null;
-    const optionObjects = uniqueOptions.map(value => ({ label: this.formatPopulation(value), value }));
+    const optionObjects = uniqueOptions.map(value => ({ label: formatLabel(value), value }));
     const shuffledOptions = this.shuffleArray(optionObjects);
     const correctIndex = shuffledOptions.findIndex(option => option.value === correctValue);
     if (correctIndex === -1) return null;
@@ -234,29 +1010,82 @@ class QuizEngine {
       question: `What is the population of ${country.name}?`,
       options: shuffledOptions,
       correctIndex,
-      correctAnswerLabel: this.formatPopulation(correctValue),
+      correctAnswerLabel: formatLabel(correctValue),
       explanation: `${country.name} has a population of about ${this.formatPopulation(correctValue)}.`
     };
   }
 
-  generatePopulationOptions(correctValue, pool, countryName) {
-    const candidates = pool.filter(item => item.name !== countryName && this.hasDataForType(item, 'population')).map(item => item.population);
-    const uniqueCandidates = Array.from(new Set(candidates));
-    const distractors = [];
-    while (uniqueCandidates.length > 0 && distractors.length < 3) {
-      const index = Math.floor(Math.random() * uniqueCandidates.length);
-      const candidate = uniqueCandidates.splice(index, 1)[0];
-      if (candidate !== correctValue) distractors.push(candidate);
+  // 'range' style: pick the range the real population falls in. Options stay in ascending order;
+  // distractor ranges are adjacent to the correct one on 'near' closeness and far from it on 'far'.
+  buildPopulationRangeQuestion(country) {
+    const correctIndex = POPULATION_RANGES.findIndex(range => country.population < range.max);
+    if (correctIndex === -1) return null;
+    const others = POPULATION_RANGES.map((range, index) => index).filter(index => index !== correctIndex);
+    const closeness = this.getDistractorCloseness();
+    const byDistance = this.shuffleArray(others).sort((a, b) => Math.abs(a - correctIndex) - Math.abs(b - correctIndex));
+    let distractors;
+    if (closeness === 'near') distractors = byDistance.slice(0, 3);
+    else if (closeness === 'far') distractors = this.shuffleArray(byDistance.filter(index => Math.abs(index - correctIndex) > 1)).slice(0, 3);
+    else distractors = this.shuffleArray(others).slice(0, 3);
+    if (distractors.length < 3) distractors = byDistance.slice(0, 3);
+    const options = [correctIndex, ...distractors]
+      .sort((a, b) => a - b)
+      .map(index => ({ label: POPULATION_RANGES[index].label, value: index }));
+    const correctRange = POPULATION_RANGES[correctIndex].label;
+    return {
+      type: 'population',
+      country: country.name,
+      question: `Roughly how many people live in ${country.name}?`,
+      options,
+      correctIndex: options.findIndex(option => option.value === correctIndex),
+      correctAnswerLabel: correctRange,
+      explanation: `${country.name} has a population of about ${this.formatPopulation(country.population)} (${correctRange}).`
+    };
+  }
+
+  /**
+   * Pick three population distractors whose ratio to the real figure lies within the current
+   * difficulty's populationSpread (either larger or smaller). Real populations from the pool are
+   * preferred; the rest are synthetic, rounded to the same precision as the real figure so they
+   * can't be spotted by their trailing zeros. Every option's label (from `formatLabel`) is distinct
+   * and no two options are closer than POPULATION_MIN_OPTION_RATIO.
+   */
+  generatePopulationOptions(correctValue, pool, countryName, formatLabel = value => this.formatPopulation(value)) {
+    const [minRatio, maxRatio] = this.getCurrentDifficultySettings().populationSpread || [1.3, 3];
+    const ratioBetween = (a, b) => Math.max(a, b) / Math.min(a, b);
+    const options = [correctValue];
+    const labels = new Set([formatLabel(correctValue)]);
+    const tryAdd = value => {
+      if (!Number.isFinite(value) || value <= 0 || value > POPULATION_MAX_PLAUSIBLE) return;
+      const ratio = ratioBetween(value, correctValue);
+      if (ratio < minRatio || ratio > maxRatio) return;
+      if (options.some(option => ratioBetween(option, value) < POPULATION_MIN_OPTION_RATIO)) return;
+      const label = formatLabel(value);
+      if (labels.has(label)) return;
+      labels.add(label);
+      options.push(value);
+    };
+
+    const realPopulations = pool.filter(item => item.name !== countryName && this.hasDataForType(item, 'population')).map(item => item.population);
+    for (const value of this.shuffleArray(Array.from(new Set(realPopulations)))) {
+      if (options.length >= 4) break;
+      tryAdd(value);
     }
-    const fallbackMultipliers = [0.55, 0.75, 1.2, 1.4, 1.8];
-    let multiplierIndex = 0;
-    while (distractors.length < 3) {
-      const multiplier = fallbackMultipliers[multiplierIndex % fallbackMultipliers.length];
-      multiplierIndex += 1;
-      const candidate = Math.max(100000, Math.round(correctValue * multiplier));
-      if (![correctValue, ...distractors].includes(candidate)) distractors.push(candidate);
+
+    const precision = this.getRoundingUnit(correctValue);
+    for (let attempt = 0; options.length < 4 && attempt < POPULATION_DISTRACTOR_ATTEMPTS; attempt += 1) {
+      const ratio = minRatio + this.random() * (maxRatio - minRatio);
+      const scaled = this.random() < 0.5 ? correctValue * ratio : correctValue / ratio;
+      tryAdd(Math.max(precision, Math.round(scaled / precision) * precision));
     }
-    return [correctValue, ...distractors];
+    return options;
+  }
+
+  // Largest power of ten (up to 1,000, and small next to the value) that divides it, e.g. 38,386,000 -> 1,000
+  getRoundingUnit(value) {
+    let unit = 1;
+    while (unit < 1000 && value % (unit * 10) === 0 && unit * 1000 <= value) unit *= 10;
+    return unit;
   }
 
   formatPopulation(value) {
@@ -264,10 +1093,37 @@ class QuizEngine {
     return `${value.toLocaleString()} people`;
   }
 
+  // Rounded, locale-aware short form, e.g. 38,386,000 -> "38.4M"
+  formatCompactPopulation(value) {
+    if (!Number.isFinite(value)) return 'Unknown population';
+    return new Intl.NumberFormat(undefined, { notation: 'compact', maximumSignificantDigits: 3 }).format(value);
+  }
+
+  // Rounded figure for question text, e.g. 5,106,000 -> "5.1 million"
+  formatApproximatePopulation(value) {
+    if (!Number.isFinite(value)) return 'an unknown number of';
+    return new Intl.NumberFormat(undefined, { notation: 'compact', compactDisplay: 'long', maximumSignificantDigits: 2 }).format(value);
+  }
+
   buildCurrencyQuestion(country, pool) {
     if (!this.hasDataForType(country, 'currency')) return null;
+    const details = this.getCurrencyDetails(country);
+    const variants = CURRENCY_QUESTION_VARIANTS.filter(variant => {
+      if (variant === 'code') return Boolean(details && details.code);
+      if (variant === 'symbol') return Boolean(details && details.symbol) && this.countCountriesUsingSymbol(details.symbol) <= CURRENCY_SYMBOL_MAX_COUNTRIES;
+      return true;
+    });
+    const variant = variants[Math.floor(this.random() * variants.length)];
+    if (variant === 'code') return this.buildCurrencyCodeQuestion(country, pool, details);
+    if (variant === 'symbol') return this.buildCurrencySymbolQuestion(country, pool, details);
+
     const correctCurrency = country.currencies[0];
-    const optionLabels = this.generateCurrencyOptions(correctCurrency, pool, country.name);
+    const optionLabels = this.generateCurrencyOptions(correctCurrency, pool, country);
+    return this.buildCurrencyNameQuestion(country, correctCurrency, optionLabels, `Which currency is used in ${country.name}?`);
+  }
+
+  // Shared by the name and code variants: options are currency names
+  buildCurrencyNameQuestion(country, correctCurrency, optionLabels, questionText) {
     const uniqueOptions = optionLabels.filter((label, index, array) => Boolean(label) && array.indexOf(label) === index);
     if (!uniqueOptions.includes(correctCurrency) || uniqueOptions.length < 4) return null;
     const optionObjects = uniqueOptions.slice(0, 4).map(label => ({ label, value: label }));
@@ -277,34 +1133,76 @@ class QuizEngine {
     return {
       type: 'currency',
       country: country.name,
-      question: `Which currency is used in ${country.name}?`,
+      question: questionText,
       options: shuffledOptions,
       correctIndex,
       correctAnswerLabel: correctCurrency,
-      explanation: `${country.name} uses the ${correctCurrency}.`
+      explanation: `${country.name} uses the ${this.describeCurrency(country)}.`
     };
   }
 
-  generateCurrencyOptions(correctCurrency, pool, countryName) {
-    const candidates = this.collectUniqueValues(pool, 'currencies', countryName).filter(currency => currency !== correctCurrency);
-    const distractors = [];
-    while (candidates.length > 0 && distractors.length < 3) {
-      const index = Math.floor(Math.random() * candidates.length);
-      const candidate = candidates.splice(index, 1)[0];
-      if (!distractors.includes(candidate)) distractors.push(candidate);
-    }
+  // "Which currency has code THB?"
+  buildCurrencyCodeQuestion(country, pool, details) {
+    const optionLabels = this.generateCurrencyOptions(details.name, pool, country);
+    return this.buildCurrencyNameQuestion(country, details.name, optionLabels, `Which currency has the code ${details.code}?`);
+  }
+
+  // "Which country uses ₩?" - country options from the same region first, never another country using the symbol
+  buildCurrencySymbolQuestion(country, pool, details) {
+    const usesSymbol = item => this.getCurrencyDetailsList(item).some(currency => currency.symbol === details.symbol);
+    const candidates = pool.filter(item => item.name !== country.name && this.hasDataForType(item, 'currency') && !usesSymbol(item));
+    return this.buildCountryChoiceQuestion(
+      'currency',
+      country,
+      this.orderByCloseness(candidates, country, 'near'),
+      `Which country uses the currency symbol ${details.symbol}?`,
+      `${country.name} uses the ${this.describeCurrency(country)}.`
+    );
+  }
+
+  // Code / symbol details of the country's main currency, or null (e.g. data cached before they were kept)
+  getCurrencyDetails(country) {
+    return this.getCurrencyDetailsList(country).find(currency => currency.name === country.currencies[0]) || null;
+  }
+
+  getCurrencyDetailsList(country) {
+    return Array.isArray(country.currencyDetails) ? country.currencyDetails : [];
+  }
+
+  countCountriesUsingSymbol(symbol) {
+    return this.countries.filter(item => this.getCurrencyDetailsList(item).some(currency => currency.symbol === symbol)).length;
+  }
+
+  // e.g. "Thai baht (THB, ฿)", or just the name when code and symbol are unknown
+  describeCurrency(country) {
+    const details = this.getCurrencyDetails(country);
+    const extras = details ? [details.code, details.symbol].filter(Boolean) : [];
+    return extras.length ? `${country.currencies[0]} (${extras.join(', ')})` : country.currencies[0];
+  }
+
+  // Distractors always come from the same region first, whatever the difficulty: currency names
+  // from far away are easy to rule out
+  generateCurrencyOptions(correctCurrency, pool, country) {
+    const candidates = this.collectUniqueValues(this.orderByCloseness(pool, country, 'near'), 'currencies', country.name).filter(currency => !country.currencies.includes(currency));
+    const distractors = candidates.slice(0, 3);
     const fallbackCurrencies = ['Euro', 'United States dollar', 'Yen', 'Pound sterling', 'Rupee'];
     for (const currency of fallbackCurrencies) {
       if (distractors.length >= 3) break;
-      if (currency !== correctCurrency && !distractors.includes(currency)) distractors.push(currency);
+      if (!country.currencies.includes(currency) && !distractors.includes(currency)) distractors.push(currency);
     }
     return [correctCurrency, ...distractors].slice(0, 4);
   }
 
+  // Any official language can be the answer; none of the country's other official languages
+  // are offered as distractors, so exactly one option is valid
   buildLanguagesQuestion(country, pool) {
     if (!this.hasDataForType(country, 'languages')) return null;
-    const correctLanguage = country.languages[0];
-    const optionLabels = this.generateLanguageOptions(correctLanguage, pool, country.name);
+    if (country.languages.length > 1 && this.random() < LANGUAGES_MULTI_SELECT_CHANCE) {
+      const question = this.buildLanguagesMultiSelectQuestion(country, pool);
+      if (question) return question;
+    }
+    const correctLanguage = country.languages[Math.floor(this.random() * country.languages.length)];
+    const optionLabels = this.generateLanguageOptions(correctLanguage, pool, country);
     const uniqueOptions = optionLabels.filter((label, index, array) => Boolean(label) && array.indexOf(label) === index);
     if (!uniqueOptions.includes(correctLanguage) || uniqueOptions.length < 4) return null;
     const optionObjects = uniqueOptions.slice(0, 4).map(label => ({ label, value: label }));
@@ -318,34 +1216,323 @@ class QuizEngine {
       options: shuffledOptions,
       correctIndex,
       correctAnswerLabel: correctLanguage,
-      explanation: `${correctLanguage} is spoken in ${country.name}.`
+      explanation: this.describeOfficialLanguages(country)
     };
   }
 
-  generateLanguageOptions(correctLanguage, pool, countryName) {
-    const candidates = this.collectUniqueValues(pool, 'languages', countryName).filter(language => language !== correctLanguage);
-    const distractors = [];
-    while (candidates.length > 0 && distractors.length < 3) {
-      const index = Math.floor(Math.random() * candidates.length);
-      const candidate = candidates.splice(index, 1)[0];
-      if (!distractors.includes(candidate)) distractors.push(candidate);
-    }
+  /**
+   * "Select all that apply" variant: one to three of the country's official languages among four
+   * options. The question carries `multiSelect: true` and `correctIndices` (correctIndex is the
+   * first of them); it only counts as correct when exactly those options are chosen.
+   */
+  buildLanguagesMultiSelectQuestion(country, pool) {
+    const correctCount = 1 + Math.floor(this.random() * Math.min(3, country.languages.length));
+    const correctLanguages = this.shuffleArray(country.languages).slice(0, correctCount);
+    const distractors = this.generateLanguageOptions(correctLanguages[0], pool, country).slice(1, 1 + 4 - correctCount);
+    if (distractors.length < 4 - correctCount) return null;
+    const options = this.shuffleArray([...correctLanguages, ...distractors]).map(label => ({ label, value: label }));
+    const correctIndices = options.map((option, index) => (correctLanguages.includes(option.value) ? index : -1)).filter(index => index !== -1);
+    return {
+      type: 'languages',
+      country: country.name,
+      question: `Which of these are official languages of ${country.name}? Select all that apply.`,
+      options,
+      multiSelect: true,
+      correctIndex: correctIndices[0],
+      correctIndices,
+      correctAnswerLabel: correctIndices.map(index => options[index].label).join(', '),
+      explanation: this.describeOfficialLanguages(country)
+    };
+  }
+
+  describeOfficialLanguages(country) {
+    const languages = country.languages;
+    if (languages.length === 1) return `${languages[0]} is spoken in ${country.name}.`;
+    return `${country.name} has ${languages.length} official languages: ${languages.join(', ')}.`;
+  }
+
+  // Candidates are ordered by region closeness for the current difficulty, then taken in order
+  generateLanguageOptions(correctLanguage, pool, country) {
+    const candidates = this.collectUniqueValues(this.orderByCloseness(pool, country), 'languages', country.name).filter(language => !country.languages.includes(language));
+    const distractors = candidates.slice(0, 3);
     const fallbackLanguages = ['English', 'Spanish', 'French', 'Arabic', 'Hindi', 'Portuguese', 'Russian', 'Chinese'];
     for (const language of fallbackLanguages) {
       if (distractors.length >= 3) break;
-      if (language !== correctLanguage && !distractors.includes(language)) distractors.push(language);
+      if (!country.languages.includes(language) && !distractors.includes(language)) distractors.push(language);
     }
     return [correctLanguage, ...distractors].slice(0, 4);
   }
 
+  buildCapitalQuestion(country, pool) {
+    if (!this.hasDataForType(country, 'capital')) return null;
+    const correctCapital = country.capital;
+    const optionLabels = this.generateCapitalOptions(correctCapital, pool, country);
+    const uniqueOptions = optionLabels.filter((label, index, array) => Boolean(label) && array.indexOf(label) === index);
+    if (!uniqueOptions.includes(correctCapital) || uniqueOptions.length < 4) return null;
+    const optionObjects = uniqueOptions.slice(0, 4).map(label => ({ label, value: label }));
+    const shuffledOptions = this.shuffleArray(optionObjects);
+    const correctIndex = shuffledOptions.findIndex(option => option.value === correctCapital);
+    if (correctIndex === -1) return null;
+    return {
+      type: 'capital',
+      country: country.name,
+      question: `What is the capital city of ${country.name}?`,
+      options: shuffledOptions,
+      correctIndex,
+      correctAnswerLabel: correctCapital,
+      explanation: `${correctCapital} is the capital of ${country.name}.`
+    };
+  }
+
+  // Distractors prefer capitals from the same region so the answer can't be guessed from geography alone
+  // (easy difficulty only loosens this to a random mix)
+  generateCapitalOptions(correctCapital, pool, country) {
+    const candidates = pool.filter(item => item.name !== country.name && this.hasDataForType(item, 'capital') && item.capital !== correctCapital);
+    const closeness = this.getDistractorCloseness() === 'far' ? 'mixed' : 'near';
+    const distractors = [];
+    for (const candidate of this.orderByCloseness(candidates, country, closeness)) {
+      if (distractors.length >= 3) break;
+      if (!distractors.includes(candidate.capital)) distractors.push(candidate.capital);
+    }
+    return [correctCapital, ...distractors].slice(0, 4);
+  }
+
+  /**
+   * Flag questions come in two variants, picked at random:
+   * - the flag is the prompt and the options are country names ("Which country is this?")
+   * - the country is named and the options are four flag images
+   * Image objects carry { src, alt } so the View can render them with accessible labels. Image
+   * options are only used when each has its own description; otherwise a screen reader could not
+   * tell them apart, so the flag becomes the prompt.
+   */
+  buildFlagQuestion(country, pool) {
+    if (!this.hasDataForType(country, 'flags')) return null;
+    const optionCountries = this.generateFlagOptions(country, pool);
+    if (optionCountries.length < 4) return null;
+    const descriptions = optionCountries.map(item => this.describeFlag(item));
+    const canDescribeOptions = new Set(descriptions).size === descriptions.length && !descriptions.includes(GENERIC_FLAG_DESCRIPTION);
+    const showFlagAsPrompt = this.random() < 0.5 || !canDescribeOptions;
+    const optionObjects = optionCountries.map((item, index) => {
+      const option = { label: item.name, value: item.name };
+      if (!showFlagAsPrompt) option.image = { src: item.flag, alt: descriptions[index] };
+      return option;
+    });
+    const shuffledOptions = this.shuffleArray(optionObjects);
+    const correctIndex = shuffledOptions.findIndex(option => option.value === country.name);
+    if (correctIndex === -1) return null;
+    return {
+      type: 'flags',
+      country: country.name,
+      question: showFlagAsPrompt ? 'Which country is this?' : `Which flag belongs to ${country.name}?`,
+      image: showFlagAsPrompt ? { src: country.flag, alt: this.describeFlag(country) } : null,
+      options: shuffledOptions,
+      correctIndex,
+      correctAnswerLabel: showFlagAsPrompt ? country.name : `the flag of ${country.name}`,
+      explanation: `That is the flag of ${country.name}.`
+    };
+  }
+
+  // Neighbouring flags tend to share colours and layouts, so prefer countries from the same region
+  // (easy difficulty only loosens this to a random mix)
+  generateFlagOptions(country, pool) {
+    const candidates = pool.filter(item => item.name !== country.name && this.hasDataForType(item, 'flags') && item.flag !== country.flag);
+    const closeness = this.getDistractorCloseness() === 'far' ? 'mixed' : 'near';
+    return this.uniqueByName([country, ...this.orderByCloseness(candidates, country, closeness)]).slice(0, 4);
+  }
+
+  buildRegionQuestion(country) {
+    if (!this.hasDataForType(country, 'region')) return null;
+    const correctRegion = country.region;
+    const optionObjects = this.generateRegionOptions(correctRegion).map(label => ({ label, value: label }));
+    if (optionObjects.length < 4) return null;
+    const shuffledOptions = this.shuffleArray(optionObjects);
+    const correctIndex = shuffledOptions.findIndex(option => option.value === correctRegion);
+    if (correctIndex === -1) return null;
+    return {
+      type: 'region',
+      country: country.name,
+      question: `Which region is ${country.name} in?`,
+      options: shuffledOptions,
+      correctIndex,
+      correctAnswerLabel: correctRegion,
+      explanation: `${country.name} is in ${correctRegion}.`
+    };
+  }
+
+  // The two nearest regions are offered (any three of the others on 'far' closeness);
+  // the third distractor is one of the remaining regions
+  generateRegionOptions(correctRegion) {
+    const neighbours = REGION_NEIGHBOURS[correctRegion] || [];
+    if (this.getDistractorCloseness() === 'far') return [correctRegion, ...this.shuffleArray(neighbours).slice(0, 3)];
+    const [nearest, secondNearest, ...others] = neighbours;
+    const farther = this.shuffleArray(others)[0];
+    return [correctRegion, nearest, secondNearest, farther].filter(Boolean);
+  }
+
+  /**
+   * Higher-or-lower question: pair the country with another one (preferring the visible
+   * countryPool) and ask which has the larger population or area.
+   */
+  buildComparisonQuestion(country, pool) {
+    if (!this.hasDataForType(country, 'compare')) return null;
+    const metric = this.random() < 0.5 ? 'population' : 'area';
+    const minRatio = COMPARISON_MIN_RATIOS[this.getDistractorCloseness()] || COMPARISON_MIN_RATIOS.near;
+    const isFairOpponent = item => {
+      if (!item || item.name === country.name || !this.hasDataForType(item, 'compare')) return false;
+      const ratio = Math.max(item[metric], country[metric]) / Math.min(item[metric], country[metric]);
+      return ratio >= minRatio;
+    };
+    const opponent = this.shuffleArray(this.countryPool).find(isFairOpponent) || this.shuffleArray(pool).find(isFairOpponent);
+    if (!opponent) return null;
+    const winner = country[metric] > opponent[metric] ? country : opponent;
+    const loser = winner === country ? opponent : country;
+    const optionObjects = [country, opponent].map(item => ({ label: item.name, value: item.name }));
+    const shuffledOptions = this.shuffleArray(optionObjects);
+    const correctIndex = shuffledOptions.findIndex(option => option.value === winner.name);
+    const format = value => (metric === 'population' ? this.formatPopulation(value) : this.formatArea(value));
+    return {
+      type: 'compare',
+      metric,
+      country: country.name,
+      question: metric === 'population' ? 'Which country has the larger population?' : 'Which country is larger by area?',
+      options: shuffledOptions,
+      correctIndex,
+      correctAnswerLabel: winner.name,
+      explanation: metric === 'population'
+        ? `${winner.name} has more people (${format(winner[metric])}) than ${loser.name} (${format(loser[metric])}).`
+        : `${winner.name} (${format(winner[metric])}) is larger than ${loser.name} (${format(loser[metric])}).`
+    };
+  }
+
+  formatArea(value) {
+    if (!Number.isFinite(value)) return 'Unknown area';
+    return `${Math.round(value).toLocaleString()} km²`;
+  }
+
+  /**
+   * Timezone questions. Countries with several offsets (Russia, France with its overseas
+   * territories...) either get the "spans the most timezones" variant or are asked which
+   * offset is used *somewhere* in them, with every one of their offsets kept out of the distractors.
+   */
+  buildTimezoneQuestion(country, pool) {
+    const offsets = this.getUtcOffsets(country);
+    if (offsets.length === 0) return null;
+    if (offsets.length > 1 && this.random() < 0.5) {
+      const spanQuestion = this.buildTimezoneSpanQuestion(country, pool);
+      if (spanQuestion) return spanQuestion;
+    }
+    const correctOffset = offsets[Math.floor(this.random() * offsets.length)];
+    const optionOffsets = this.generateTimezoneOptions(correctOffset, offsets);
+    if (optionOffsets.length < 4) return null;
+    const optionObjects = optionOffsets.map(offset => ({ label: this.formatUtcOffset(offset), value: offset }));
+    const shuffledOptions = this.shuffleArray(optionObjects);
+    const correctIndex = shuffledOptions.findIndex(option => option.value === correctOffset);
+    if (correctIndex === -1) return null;
+    const isMultiZone = offsets.length > 1;
+    return {
+      type: 'timezones',
+      country: country.name,
+      question: isMultiZone ? `Which of these UTC offsets is used in ${country.name}?` : `What is the UTC offset of ${country.name}?`,
+      options: shuffledOptions,
+      correctIndex,
+      correctAnswerLabel: this.formatUtcOffset(correctOffset),
+      explanation: isMultiZone
+        ? `${country.name} spans ${offsets.length} UTC offsets, from ${this.formatUtcOffset(offsets[0])} to ${this.formatUtcOffset(offsets[offsets.length - 1])}.`
+        : `${country.name} uses ${this.formatUtcOffset(correctOffset)}.`
+    };
+  }
+
+  // Distractors are drawn from the offsets closest to the correct one, skipping any the country uses;
+  // the window widens on easier difficulties
+  generateTimezoneOptions(correctOffset, countryOffsets) {
+    const windowSize = TIMEZONE_DISTRACTOR_WINDOW[this.getDistractorCloseness()] || TIMEZONE_DISTRACTOR_WINDOW.mixed;
+    const nearest = UTC_OFFSETS_IN_MINUTES
+      .filter(offset => !countryOffsets.includes(offset))
+      .sort((a, b) => Math.abs(a - correctOffset) - Math.abs(b - correctOffset))
+      .slice(0, windowSize);
+    return [correctOffset, ...this.shuffleArray(nearest).slice(0, 3)];
+  }
+
+  buildTimezoneSpanQuestion(country, pool) {
+    const zoneCount = this.getUtcOffsets(country).length;
+    const candidates = pool.filter(item => item.name !== country.name && this.hasDataForType(item, 'timezones') && this.getUtcOffsets(item).length < zoneCount);
+    const distractors = this.uniqueByName(this.shuffleArray(candidates)).slice(0, 3);
+    if (distractors.length < 3) return null;
+    const optionObjects = [country, ...distractors].map(item => ({ label: item.name, value: item.name }));
+    const shuffledOptions = this.shuffleArray(optionObjects);
+    const correctIndex = shuffledOptions.findIndex(option => option.value === country.name);
+    return {
+      type: 'timezones',
+      country: country.name,
+      question: 'Which of these countries spans the most timezones?',
+      options: shuffledOptions,
+      correctIndex,
+      correctAnswerLabel: country.name,
+      explanation: `${country.name} spans ${zoneCount} UTC offsets, more than any of the others.`
+    };
+  }
+
+  // Distinct UTC offsets of a country in minutes, sorted west to east. Unparseable entries are dropped.
+  getUtcOffsets(country) {
+    if (!country || !Array.isArray(country.timezones)) return [];
+    const offsets = country.timezones.map(label => this.parseUtcOffset(label)).filter(Number.isFinite);
+    return Array.from(new Set(offsets)).sort((a, b) => a - b);
+  }
+
+  // 'UTC' -> 0, 'UTC+05:30' -> 330, 'UTC-03:00' -> -180
+  parseUtcOffset(label) {
+    if (label === 'UTC') return 0;
+    const match = /^UTC([+-])(\d{2}):(\d{2})$/.exec(label || '');
+    if (!match) return NaN;
+    const minutes = Number(match[2]) * 60 + Number(match[3]);
+    return match[1] === '-' ? -minutes : minutes;
+  }
+
+  formatUtcOffset(minutes) {
+    const sign = minutes < 0 ? '-' : '+';
+    const absolute = Math.abs(minutes);
+    const hours = String(Math.floor(absolute / 60)).padStart(2, '0');
+    const mins = String(absolute % 60).padStart(2, '0');
+    return `UTC${sign}${hours}:${mins}`;
+  }
+
+  /**
+   * Accessible description of a country's flag that does not give the answer away:
+   * the API's alt text usually names the country ("The flag of Japan features..."),
+   * so the name is replaced before it is used as an image label.
+   */
+  describeFlag(country) {
+    const alt = country.flagAlt || '';
+    // some countries have no description (the bundled snapshot has none at all)
+    if (!alt || alt === `Flag of ${country.name}`) return GENERIC_FLAG_DESCRIPTION;
+    const escapedName = country.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return alt.replace(new RegExp(escapedName, 'gi'), 'this country');
+  }
+
 } // end QuizEngine
 
-const quiz = new QuizEngine();
-window.quiz = quiz;
-window.QuizEngine = QuizEngine;
+if (typeof window !== 'undefined') {
+  // A `?dataUrl=` query parameter points the app at a custom copy of the data, tried before the defaults
+  const customDataUrl = new URLSearchParams(window.location.search).get('dataUrl');
+  const quiz = new QuizEngine({
+    dataSources: customDataUrl ? [createCustomUrlDataSource(customDataUrl), createRemoteDataSource(), createBundledDataSource()] : undefined,
+    // a custom data URL bypasses the cache so the cache never mixes datasets
+    cache: window.CountryCache && !customDataUrl ? new window.CountryCache() : null
+  });
+  window.quiz = quiz;
+  window.QuizEngine = QuizEngine;
+  window.createRemoteDataSource = createRemoteDataSource;
+  window.createBundledDataSource = createBundledDataSource;
+  window.createCustomUrlDataSource = createCustomUrlDataSource;
+
+  quiz.init().then(() => {
+    console.log('QuizEngine initialized — model ready.');
+  }).catch(err => {
+    console.error('QuizEngine init error:', err);
+  });
+}
 
-quiz.init().then(() => {
-  console.log('QuizEngine initialized — model ready.');
-}).catch(err => {
-  console.error('QuizEngine init error:', err);
-});
+// Node (the multiplayer server) loads the engine with require(); nothing is started there
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { QuizEngine, createUrlDataSource, MIXABLE_QUESTION_TYPES };
+}
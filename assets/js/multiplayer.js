@@ -0,0 +1,95 @@
+/**
+ * multiplayer.js
+ * MultiplayerClient - the browser side of classroom rooms (see server/). Opens a WebSocket to the
+ * room server and re-dispatches every server message as a `room:<type>` CustomEvent on document
+ * (e.g. room:question, room:reveal), so the Controller handles them like any other event.
+ * room:disconnected is dispatched when the connection drops.
+ */
+
+const ROOM_SERVER_PATH = '/rooms';
+const ROOM_CONNECT_TIMEOUT_MS = 5000;
+
+/**
+ * Where the room server is: a `?server=host:port` query parameter, otherwise the server the page
+ * was loaded from (server/server.js serves the app too).
+ * @param {Location} [location=window.location]
+ * @returns {string|null} a ws:// or wss:// URL, or null when the page was opened from a file
+ */
+function getRoomServerUrl(location = window.location) {
+  const scheme = location.protocol === 'https:' ? 'wss:' : 'ws:';
+  const server = new URLSearchParams(location.search).get('server');
+  if (server) return `${scheme}//${server}${ROOM_SERVER_PATH}`;
+  if (location.protocol !== 'http:' && location.protocol !== 'https:') return null;
+  return `${scheme}//${location.host}${ROOM_SERVER_PATH}`;
+}
+
+class MultiplayerClient {
+  /**
+   * @param {string|null} [url] - room server URL; defaults to getRoomServerUrl()
+   */
+  constructor(url = getRoomServerUrl()) {
+    this.url = url;
+    this.socket = null;
+  }
+
+  isConnected() {
+    return Boolean(this.socket) && this.socket.readyState === WebSocket.OPEN;
+  }
+
+  /**
+   * Connect if not connected already.
+   * @returns {Promise<void>} rejects when the server cannot be reached
+   */
+  connect() {
+    if (this.isConnected()) return Promise.resolve();
+    if (!this.url || typeof WebSocket !== 'function') {
+      return Promise.reject(new Error('No classroom server: start server/server.js and open the quiz from it.'));
+    }
+    return new Promise((resolve, reject) => {
+      const socket = new WebSocket(this.url);
+      const timer = setTimeout(() => { socket.close(); reject(new Error('The classroom server did not answer.')); }, ROOM_CONNECT_TIMEOUT_MS);
+      socket.addEventListener('open', () => {
+        clearTimeout(timer);
+        this.socket = socket;
+        resolve();
+      });
+      socket.addEventListener('error', () => {
+        clearTimeout(timer);
+        reject(new Error('Unable to reach the classroom server.'));
+      });
+      socket.addEventListener('message', (ev) => {
+        let message = null;
+        try {
+          message = JSON.parse(ev.data);
+        } catch (err) {
+          console.warn('MultiplayerClient: ignoring a message that is not JSON', err);
+          return;
+        }
+        if (!message || typeof message.type !== 'string') return;
+        const { type, ...detail } = message;
+        document.dispatchEvent(new CustomEvent(`room:${type}`, { detail }));
+      });
+      socket.addEventListener('close', () => {
+        if (this.socket !== socket) return;
+        this.socket = null;
+        document.dispatchEvent(new CustomEvent('room:disconnected'));
+      });
+    });
+  }
+
+  /**
+   * @param {string} type - message type, e.g. 'join-room'
+   * @param {Object} [payload]
+   */
+  send(type, payload = {}) {
+    if (!this.isConnected()) return;
+    this.socket.send(JSON.stringify({ type, ...payload }));
+  }
+
+  disconnect() {
+    if (this.socket) this.socket.close();
+  }
+}
+
+window.MultiplayerClient = MultiplayerClient;
+window.getRoomServerUrl = getRoomServerUrl;
@@ -0,0 +1,92 @@
+/**
+ * review-store.js
+ * ReviewStore - remembers the (country, question type) pairs a player got wrong and schedules
+ * them for review with a Leitner system: a miss puts the pair in box 1 (due straight away, but
+ * only from the next quiz on), answering it correctly once it is due moves it up a box with a
+ * longer wait, and a pair that leaves the last box counts as learned and is dropped. Stored in
+ * localStorage; storage failures are logged and otherwise ignored, like ScoreStore.
+ */
+
+const REVIEW_STORAGE_KEY = 'geocompare:review-items';
+// Days to wait before a pair in each box (index 0 = box 1) is due again
+const LEITNER_BOX_INTERVAL_DAYS = [0, 1, 3, 7, 16];
+const REVIEW_DAY_MS = 24 * 60 * 60 * 1000;
+
+class ReviewStore {
+  constructor(storageKey = REVIEW_STORAGE_KEY) {
+    this.storageKey = storageKey;
+  }
+
+  getItems() {
+    try {
+      const parsed = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (err) {
+      console.warn('ReviewStore: unable to read review items', err);
+      return [];
+    }
+  }
+
+  saveItems(items) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(items));
+    } catch (err) {
+      console.warn('ReviewStore: unable to save review items', err);
+    }
+  }
+
+  /**
+   * Update the schedule after a question was answered. Misses are always tracked; correct answers
+   * only move pairs that are already tracked and were due by `dueBy`.
+   * @param {Object} result
+   * @param {string} result.country - country name the question was about
+   * @param {string} result.type - question type, e.g. 'capital'
+   * @param {boolean} result.correct
+   * @param {number} [result.dueBy=now] - when the quiz started, so a pair missed earlier in the
+   * same quiz is not promoted by answering it again straight away
+   * @param {number} [now=Date.now()]
+   */
+  recordResult(result, now = Date.now()) {
+    const { country, type, correct, dueBy = now } = result;
+    if (!country || !type) return;
+    const items = this.getItems();
+    const index = items.findIndex(item => item.country === country && item.type === type);
+    if (!correct) {
+      const item = { country, type, box: 1, dueAt: now + this.getInterval(1) };
+      if (index === -1) items.push(item);
+      else items[index] = item;
+      this.saveItems(items);
+      return;
+    }
+    if (index === -1 || items[index].dueAt > dueBy) return;
+    const nextBox = items[index].box + 1;
+    if (nextBox > LEITNER_BOX_INTERVAL_DAYS.length) items.splice(index, 1);
+    else items[index] = { ...items[index], box: nextBox, dueAt: now + this.getInterval(nextBox) };
+    this.saveItems(items);
+  }
+
+  getInterval(box) {
+    return LEITNER_BOX_INTERVAL_DAYS[box - 1] * REVIEW_DAY_MS;
+  }
+
+  /**
+   * Pairs due for review, lowest box (least known) first and then the longest overdue.
+   * @param {number} [now=Date.now()]
+   * @returns {Array<{country: string, type: string, box: number, dueAt: number}>}
+   */
+  getDueItems(now = Date.now()) {
+    return this.getItems()
+      .filter(item => item && item.dueAt <= now)
+      .sort((a, b) => a.box - b.box || a.dueAt - b.dueAt);
+  }
+
+  clear() {
+    try {
+      localStorage.removeItem(this.storageKey);
+    } catch (err) {
+      console.warn('ReviewStore: unable to clear review items', err);
+    }
+  }
+}
+
+window.ReviewStore = ReviewStore;
@@ -0,0 +1,89 @@
+/**
+ * score-store.js
+ * ScoreStore - keeps a localStorage-backed history of finished quizzes (mode, difficulty,
+ * date and per-question outcomes) and derives personal bests from it. Storage failures
+ * (quota, private browsing) are logged and otherwise ignored so the game keeps working.
+ */
+
+const SCORE_HISTORY_STORAGE_KEY = 'geocompare:score-history';
+// Oldest entries are dropped beyond this many quizzes to keep localStorage small
+const SCORE_HISTORY_LIMIT = 200;
+const SCORE_DIFFICULTY_ORDER = ['easy', 'medium', 'hard'];
+
+class ScoreStore {
+  constructor(storageKey = SCORE_HISTORY_STORAGE_KEY) {
+    this.storageKey = storageKey;
+  }
+
+  getHistory() {
+    try {
+      const parsed = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (err) {
+      console.warn('ScoreStore: unable to read score history', err);
+      return [];
+    }
+  }
+
+  /**
+   * Record a finished quiz.
+   * @param {Object} result
+   * @param {string} result.mode - quiz type, e.g. 'population'
+   * @param {string} result.difficulty - difficulty the quiz started at
+   * @param {number} result.correct - number of correct answers
+   * @param {number} result.total - number of questions answered
+   * @param {Array<{country: string, type: string, correct: boolean}>} [result.outcomes] - per-question results
+   * @returns {Object} the stored entry
+   */
+  recordQuiz({ mode, difficulty, correct, total, outcomes = [] }) {
+    const entry = {
+      mode,
+      difficulty,
+      correct,
+      total,
+      date: new Date().toISOString(),
+      outcomes
+    };
+    const history = [...this.getHistory(), entry].slice(-SCORE_HISTORY_LIMIT);
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(history));
+    } catch (err) {
+      console.warn('ScoreStore: unable to save score history', err);
+    }
+    return entry;
+  }
+
+  /**
+   * Best result for every mode + difficulty combination played so far, ranked by
+   * percentage correct and then by number correct (so 10/10 beats 5/5).
+   * @returns {Array<{mode: string, difficulty: string, correct: number, total: number, date: string}>}
+   */
+  getPersonalBests() {
+    const bests = new Map();
+    this.getHistory().forEach(entry => {
+      if (!entry || !entry.mode || !entry.total) return;
+      const key = `${entry.mode}|${entry.difficulty}`;
+      const current = bests.get(key);
+      if (!current || this.compareResults(entry, current) > 0) bests.set(key, entry);
+    });
+    return Array.from(bests.values())
+      .map(({ mode, difficulty, correct, total, date }) => ({ mode, difficulty, correct, total, date }))
+      .sort((a, b) => a.mode.localeCompare(b.mode) || SCORE_DIFFICULTY_ORDER.indexOf(a.difficulty) - SCORE_DIFFICULTY_ORDER.indexOf(b.difficulty));
+  }
+
+  compareResults(a, b) {
+    const ratioDifference = a.correct / a.total - b.correct / b.total;
+    if (ratioDifference !== 0) return ratioDifference;
+    return a.correct - b.correct;
+  }
+
+  clear() {
+    try {
+      localStorage.removeItem(this.storageKey);
+    } catch (err) {
+      console.warn('ScoreStore: unable to clear score history', err);
+    }
+  }
+}
+
+window.ScoreStore = ScoreStore;
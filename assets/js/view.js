@@ -5,16 +5,53 @@
  * encapsulated here; does not contain quiz-generation logic.
  */
 
+// Background applied to the selected mode button, keyed by its colour modifier class
+const MODE_BUTTON_SELECTED_COLORS = {
+  'btn--green': 'darkgreen',
+  'btn--blue': 'darkblue',
+  'btn--orange': 'darkorange',
+  'btn--red': 'darkred',
+  'btn--purple': 'indigo',
+  'btn--teal': 'darkslategray',
+  'btn--pink': 'mediumvioletred',
+  'btn--brown': 'saddlebrown',
+  'btn--slate': 'darkslateblue',
+  'btn--gold': 'darkgoldenrod'
+};
+
+// Category badge text shown above each question
+const QUESTION_CATEGORY_LABELS = {
+  population: 'Population',
+  currency: 'Currency',
+  languages: 'Languages',
+  capital: 'Capital',
+  flags: 'Flags',
+  region: 'Region',
+  compare: 'Higher or lower',
+  timezones: 'Timezones',
+  review: 'Review',
+  daily: 'Daily'
+};
+
+// Seconds left at which the countdown is read out to screen readers (besides the start)
+const COUNTDOWN_ANNOUNCE_AT = [10, 5];
+const COUNTDOWN_URGENT_SECONDS = 5;
+
 class QuizView {
   constructor() {
     this.answerButtons = [];
     this.nextQuestionButton = null;
+    this.submitAnswerButton = null;
+    // true while a "select all that apply" question is shown
+    this.isMultiSelect = false;
     this.feedbackElement = null;
     this.rightPaneElement = null;
     this.startQuizButton = null;
     this.overlayElement = null;
     this.questionElement = null;
+    this.questionMediaElement = null;
     this.statusMessageElement = null;
+    this.countdownTimerId = null;
     // initialize when DOM is ready
     if (document.readyState === 'loading') {
       document.addEventListener('DOMContentLoaded', () => this.init());
@@ -25,9 +62,21 @@ class QuizView {
     document.addEventListener('quiz:pool-updated', (e) => {
       this.updateLeftPaneCountryList(e.detail && e.detail.pool ? e.detail.pool : []);
     });
+    document.addEventListener('quiz:score-changed', (e) => {
+      this.renderScore(e.detail);
+    });
+    document.addEventListener('quiz:seed-changed', (e) => {
+      this.setQuizCodeValue(e.detail && e.detail.code);
+    });
     document.addEventListener('quiz:ready', (e) => {
       const loaded = e?.detail?.loaded ?? 0;
-      this.updateStatusMessage(loaded > 0 ? 'Select a quiz type, then choose a country to get started.' : 'Unable to load country data. Refresh and try again.');
+      if (loaded === 0) {
+        this.updateStatusMessage('Unable to load country data. Refresh and try again.');
+      } else if (e?.detail?.source === 'bundled') {
+        this.updateStatusMessage('Offline: using the built-in country data. Select a quiz type, then choose a country.');
+      } else {
+        this.updateStatusMessage('Select a quiz type, then choose a country to get started.');
+      }
     });
   }
 
@@ -35,9 +84,17 @@ class QuizView {
     this.cacheDomReferences();
     this.setupModeButtons();
     this.setupDifficultySelector();
+    this.setupRegionSelector();
+    this.setupTimedToggle();
+    this.setupQuizSetupPanel();
     this.setupCountrySelection();
     this.setupAnswerControls();
+    this.setupSubmitButton();
     this.setupNextButton();
+    this.setupRetryButton();
+    this.setupCopyChallengeButton();
+    this.setupCopyDailyButton();
+    this.setupRoomPanel();
     this.setupStartButton();
     // Ensure a default mode is selected on startup
     // This will visually mark 'population' selected and notify the controller
@@ -50,6 +107,7 @@ class QuizView {
     this.overlayElement = this.rightPaneElement ? this.rightPaneElement.querySelector('.overlay') : null;
     this.questionElement = document.getElementById('questionText') || (this.rightPaneElement ? this.rightPaneElement.querySelector('.row-1 .question-text') : null);
     this.feedbackElement = this.rightPaneElement ? this.rightPaneElement.querySelector('.row-4 .feedback') : null;
+    this.questionMediaElement = document.getElementById('questionMedia');
     this.statusMessageElement = document.querySelector('.message-info-disabled');
     if (this.questionElement) {
       // Make the question text programmatically focusable so screen readers will announce it on change
@@ -81,7 +139,8 @@ class QuizView {
       if (t === type) {
         btn.classList.add('mode-selected');
         // also apply the hover/active visual by mirroring the hover styles
-        btn.style.backgroundColor = (btn.classList.contains('btn--green') ? 'darkgreen' : (btn.classList.contains('btn--blue') ? 'darkblue' : (btn.classList.contains('btn--orange') ? 'darkorange' : '')));
+        const colorClass = Object.keys(MODE_BUTTON_SELECTED_COLORS).find(cls => btn.classList.contains(cls));
+        btn.style.backgroundColor = colorClass ? MODE_BUTTON_SELECTED_COLORS[colorClass] : '';
         btn.style.color = 'white';
       } else {
         btn.classList.remove('mode-selected');
@@ -111,6 +170,105 @@ class QuizView {
     });
   }
 
+  // Region selector wiring (mirrors the difficulty selector)
+  setupRegionSelector() {
+    const selector = document.getElementById('region-select');
+    if (!selector) return;
+    selector.addEventListener('change', (ev) => {
+      const region = ev.currentTarget.value;
+      document.dispatchEvent(new CustomEvent('view:region-changed', { detail: { region } }));
+    });
+
+    document.addEventListener('quiz:region-changed', (e) => {
+      selector.value = e?.detail?.region || 'all';
+    });
+  }
+
+  setupTimedToggle() {
+    const toggle = document.getElementById('timed-mode');
+    if (!toggle) return;
+    toggle.addEventListener('change', (ev) => {
+      document.dispatchEvent(new CustomEvent('view:timed-changed', { detail: { enabled: ev.currentTarget.checked } }));
+    });
+  }
+
+  // Quiz length input and category checkboxes
+  setupQuizSetupPanel() {
+    const lengthInput = document.getElementById('quiz-length');
+    if (lengthInput) {
+      lengthInput.addEventListener('change', (ev) => {
+        const length = Number(ev.currentTarget.value);
+        document.dispatchEvent(new CustomEvent('view:quiz-length-changed', { detail: { length } }));
+      });
+    }
+    const directionSelect = document.getElementById('question-direction');
+    if (directionSelect) {
+      directionSelect.addEventListener('change', (ev) => {
+        document.dispatchEvent(new CustomEvent('view:direction-changed', { detail: { direction: ev.currentTarget.value } }));
+      });
+    }
+    const codeInput = document.getElementById('quiz-code');
+    if (codeInput) {
+      codeInput.addEventListener('change', (ev) => {
+        document.dispatchEvent(new CustomEvent('view:quiz-code-changed', { detail: { code: ev.currentTarget.value } }));
+      });
+    }
+    const playerCount = document.getElementById('player-count');
+    const nameInputs = Array.from(document.querySelectorAll('input[name="player-name"]'));
+    const emitPlayers = () => {
+      const count = Number(playerCount?.value) || 1;
+      this.showPlayerNameInputs(count);
+      const names = count < 2 ? [] : nameInputs.slice(0, count).map((input, index) => input.value.trim() || `Player ${index + 1}`);
+      document.dispatchEvent(new CustomEvent('view:players-changed', { detail: { names } }));
+    };
+    if (playerCount) playerCount.addEventListener('change', emitPlayers);
+    nameInputs.forEach(input => input.addEventListener('change', emitPlayers));
+    const turnStyleSelect = document.getElementById('turn-style');
+    if (turnStyleSelect) {
+      turnStyleSelect.addEventListener('change', (ev) => {
+        document.dispatchEvent(new CustomEvent('view:turn-style-changed', { detail: { style: ev.currentTarget.value } }));
+      });
+    }
+    const categoryBoxes = document.querySelectorAll('input[name="quiz-category"]');
+    categoryBoxes.forEach(box => {
+      box.addEventListener('change', () => {
+        const types = Array.from(categoryBoxes).filter(item => item.checked).map(item => item.value);
+        document.dispatchEvent(new CustomEvent('view:categories-changed', { detail: { types } }));
+      });
+    });
+  }
+
+  setQuizLengthValue(length) {
+    const lengthInput = document.getElementById('quiz-length');
+    if (lengthInput) lengthInput.value = String(length);
+  }
+
+  setQuizCodeValue(code) {
+    const codeInput = document.getElementById('quiz-code');
+    if (codeInput) codeInput.value = code || '';
+  }
+
+  // Hot-seat options (turn style and names) only show for two or more players
+  showPlayerNameInputs(count) {
+    const hotSeatOptions = document.querySelector('.setup-hot-seat');
+    if (hotSeatOptions) hotSeatOptions.classList.toggle('hidden', count < 2);
+    document.querySelectorAll('input[name="player-name"]').forEach((input, index) => {
+      input.classList.toggle('hidden', index >= count);
+    });
+  }
+
+  setQuestionDirectionValue(direction) {
+    const directionSelect = document.getElementById('question-direction');
+    if (directionSelect) directionSelect.value = direction;
+  }
+
+  // Tick exactly the given categories (used when a challenge link sets up a mixed quiz)
+  setCategoryValues(types) {
+    document.querySelectorAll('input[name="quiz-category"]').forEach(box => {
+      box.checked = (types || []).includes(box.value);
+    });
+  }
+
   setupCountrySelection() {
     const countries = document.querySelectorAll('.item-list .country');
     countries.forEach(item => {
@@ -128,6 +286,8 @@ class QuizView {
       // Pointer/click
       button.addEventListener('click', (ev) => {
         const idx = Number(ev.currentTarget.dataset.optionIndex);
+        // "select all that apply" questions toggle options and wait for Submit Answer
+        if (this.isMultiSelect) { this.toggleOptionSelection(ev.currentTarget); return; }
         document.dispatchEvent(new CustomEvent('view:answer-selected', { detail: { selectedIndex: idx } }));
       });
       // Keyboard accessibility: Enter/Space to select, arrow keys to navigate options
@@ -157,6 +317,30 @@ class QuizView {
     });
   }
 
+  setupSubmitButton() {
+    this.submitAnswerButton = document.getElementById('submitAnswerBtn');
+    if (!this.submitAnswerButton) return;
+    this.submitAnswerButton.addEventListener('click', () => {
+      const selectedIndices = this.answerButtons
+        .filter(button => button.classList.contains('selected'))
+        .map(button => Number(button.dataset.optionIndex));
+      document.dispatchEvent(new CustomEvent('view:answer-selected', { detail: { selectedIndices } }));
+    });
+  }
+
+  toggleOptionSelection(button) {
+    const selected = button.classList.toggle('selected');
+    button.setAttribute('aria-selected', selected ? 'true' : 'false');
+    if (this.submitAnswerButton) this.submitAnswerButton.disabled = !this.answerButtons.some(item => item.classList.contains('selected'));
+  }
+
+  setSubmitButtonVisible(visible) {
+    if (!this.submitAnswerButton) return;
+    this.submitAnswerButton.classList.toggle('hidden', !visible);
+    this.submitAnswerButton.setAttribute('aria-hidden', visible ? 'false' : 'true');
+    this.submitAnswerButton.disabled = true;
+  }
+
   setupNextButton() {
     this.nextQuestionButton = document.getElementById('nextQuestionBtn');
     if (this.nextQuestionButton) {
@@ -166,6 +350,204 @@ class QuizView {
     }
   }
 
+  setupRetryButton() {
+    const retryButton = document.getElementById('retryMissedBtn');
+    if (!retryButton) return;
+    retryButton.addEventListener('click', () => {
+      document.dispatchEvent(new CustomEvent('view:retry-missed'));
+    });
+  }
+
+  // Resolves once the text is on the clipboard; rejects when the browser does not allow it
+  copyToClipboard(text) {
+    if (!navigator.clipboard || typeof navigator.clipboard.writeText !== 'function') {
+      return Promise.reject(new Error('Clipboard not available'));
+    }
+    return navigator.clipboard.writeText(text);
+  }
+
+  setupCopyChallengeButton() {
+    const copyButton = document.getElementById('copyChallengeBtn');
+    if (!copyButton) return;
+    copyButton.addEventListener('click', () => {
+      const link = copyButton.dataset.link;
+      if (!link) return;
+      this.copyToClipboard(link)
+        .then(() => { copyButton.textContent = 'Link copied!'; })
+        .catch(() => {
+          const status = document.getElementById('quizResultsChallenge');
+          if (!status) return;
+          status.textContent = `Copy this link to challenge a friend: ${link}`;
+          status.classList.remove('hidden');
+        });
+    });
+  }
+
+  /**
+   * Show whose turn it is in a hot-seat quiz next to everyone's score.
+   * @param {Array<{name: string, score: number}>} players
+   * @param {number} activeIndex - player to answer now; -1 shows the scores only (e.g. the final standings)
+   */
+  renderTurnIndicator(players, activeIndex) {
+    const indicator = document.getElementById('turnIndicator');
+    if (!indicator) return;
+    indicator.textContent = '';
+    const active = players[activeIndex];
+    if (active) {
+      const turn = document.createElement('span');
+      turn.className = 'turn-indicator__active';
+      turn.textContent = `${active.name}'s turn`;
+      indicator.appendChild(turn);
+    }
+    const scores = document.createElement('span');
+    scores.className = 'turn-indicator__scores';
+    scores.textContent = players.map(player => `${player.name} ${player.score}`).join(' · ');
+    indicator.appendChild(scores);
+    indicator.classList.remove('hidden');
+  }
+
+  hideTurnIndicator() {
+    const indicator = document.getElementById('turnIndicator');
+    if (!indicator) return;
+    indicator.classList.add('hidden');
+    indicator.textContent = '';
+  }
+
+  // Let the next hot-seat player answer the question on screen: choices and selections are cleared
+  reopenAnswerButtons() {
+    this.toggleAnswerButtons(false, false);
+    this.setSubmitButtonVisible(this.isMultiSelect);
+    if (this.nextQuestionButton) { this.nextQuestionButton.classList.add('hidden'); this.nextQuestionButton.disabled = true; this.nextQuestionButton.setAttribute('aria-hidden','true'); }
+  }
+
+  // Classroom panel: host or join a room on the multiplayer server
+  setupRoomPanel() {
+    const nameInput = document.getElementById('room-name');
+    const codeInput = document.getElementById('room-code');
+    const readName = () => (nameInput ? nameInput.value.trim() : '');
+    const hostButton = document.getElementById('hostRoomBtn');
+    if (hostButton) {
+      hostButton.addEventListener('click', () => {
+        document.dispatchEvent(new CustomEvent('view:room-host', { detail: { name: readName() } }));
+      });
+    }
+    const joinButton = document.getElementById('joinRoomBtn');
+    if (joinButton) {
+      joinButton.addEventListener('click', () => {
+        const code = codeInput ? codeInput.value.trim().toUpperCase() : '';
+        document.dispatchEvent(new CustomEvent('view:room-join', { detail: { name: readName(), code } }));
+      });
+    }
+    const startButton = document.getElementById('startRoomBtn');
+    if (startButton) {
+      startButton.addEventListener('click', () => {
+        document.dispatchEvent(new CustomEvent('view:room-start'));
+      });
+    }
+    const leaveButton = document.getElementById('leaveRoomBtn');
+    if (leaveButton) {
+      leaveButton.addEventListener('click', () => {
+        document.dispatchEvent(new CustomEvent('view:room-leave'));
+      });
+    }
+  }
+
+  setRoomStatus(message) {
+    const status = document.getElementById('roomStatus');
+    if (status) status.textContent = message || '';
+  }
+
+  /**
+   * Reflect room membership in the classroom panel: host/join are locked while in a room, leave
+   * is offered instead, and only the host gets the start button.
+   * @param {?{code: string, isHost: boolean}} room - null once out of the room
+   */
+  setRoomState(room) {
+    ['hostRoomBtn', 'joinRoomBtn', 'room-name', 'room-code'].forEach(id => {
+      const control = document.getElementById(id);
+      if (control) control.disabled = Boolean(room);
+    });
+    const codeInput = document.getElementById('room-code');
+    if (codeInput && room) codeInput.value = room.code;
+    const toggleButton = (id, visible) => {
+      const button = document.getElementById(id);
+      if (!button) return;
+      button.classList.toggle('hidden', !visible);
+      button.setAttribute('aria-hidden', visible ? 'false' : 'true');
+    };
+    toggleButton('startRoomBtn', Boolean(room && room.isHost));
+    toggleButton('leaveRoomBtn', Boolean(room));
+    this.setRoomStartEnabled(true);
+    if (!room) this.renderRoomPlayers([], null);
+  }
+
+  setRoomStartEnabled(enabled) {
+    const startButton = document.getElementById('startRoomBtn');
+    if (startButton) startButton.disabled = !enabled;
+  }
+
+  /**
+   * List the players in the room with their points, best first.
+   * @param {Array<{id: string, name: string, score: number}>} players
+   * @param {?string} ownId - this browser's player, highlighted
+   */
+  renderRoomPlayers(players, ownId) {
+    const list = document.getElementById('roomPlayers');
+    if (!list) return;
+    list.textContent = '';
+    (players || []).forEach(player => {
+      const item = document.createElement('li');
+      item.textContent = `${player.name} (${player.score})`;
+      if (player.id === ownId) item.classList.add('room-player--you');
+      list.appendChild(item);
+    });
+    list.classList.toggle('hidden', !players || players.length === 0);
+  }
+
+  setupCopyDailyButton() {
+    const copyButton = document.getElementById('copyDailyBtn');
+    if (!copyButton) return;
+    copyButton.addEventListener('click', () => {
+      const grid = document.getElementById('dailyShareGrid');
+      if (!grid || !grid.textContent) return;
+      this.copyToClipboard(grid.textContent)
+        .then(() => { copyButton.textContent = 'Result copied!'; })
+        .catch(() => { copyButton.textContent = 'Select the result above to copy it'; });
+    });
+  }
+
+  /**
+   * Show the shareable daily result (score line plus emoji grid) with its copy button.
+   * @param {string} text - from formatDailyShareText()
+   */
+  renderDailyShare(text) {
+    const section = document.getElementById('dailyShare');
+    const grid = document.getElementById('dailyShareGrid');
+    const copyButton = document.getElementById('copyDailyBtn');
+    if (!section || !grid) return;
+    grid.textContent = text;
+    if (copyButton) copyButton.textContent = 'Copy result';
+    section.classList.remove('hidden');
+    section.setAttribute('aria-hidden', 'false');
+  }
+
+  hideDailyShare() {
+    const section = document.getElementById('dailyShare');
+    if (!section) return;
+    section.classList.add('hidden');
+    section.setAttribute('aria-hidden', 'true');
+  }
+
+  // Link that replays the quiz just finished; the copy button stays hidden until there is one
+  setChallengeLink(link) {
+    const copyButton = document.getElementById('copyChallengeBtn');
+    if (!copyButton) return;
+    copyButton.dataset.link = link || '';
+    copyButton.textContent = 'Copy challenge link';
+    copyButton.classList.toggle('hidden', !link);
+    copyButton.setAttribute('aria-hidden', link ? 'false' : 'true');
+  }
+
   setupStartButton() {
     if (!this.startQuizButton) this.startQuizButton = document.getElementById('showOverlayBtn');
     if (this.startQuizButton) {
@@ -189,7 +571,8 @@ class QuizView {
   }
 
   // Right pane helpers (ported from original script.js)
-  setupRightPaneGameArea(countryName, gameType) {
+  // introText replaces the default "<country> is locked in" prompt (e.g. for review mode, which has no country)
+  setupRightPaneGameArea(countryName, gameType, introText) {
     if (!this.rightPaneElement) this.rightPaneElement = document.querySelector('.right-pane');
     if (!this.rightPaneElement) return;
     this.rightPaneElement.classList.remove('hidden', 'disabled', 'transparent');
@@ -199,7 +582,7 @@ class QuizView {
     if (!this.questionElement) this.questionElement = this.rightPaneElement.querySelector('.row-1');
     const readableMode = this.capitalize(gameType);
     if (this.questionElement) {
-      this.questionElement.textContent = `Quiz on ${readableMode}: ${countryName} is locked in. Press Start Quiz when you are ready.`;
+      this.questionElement.textContent = introText || `Quiz on ${readableMode}: ${countryName} is locked in. Press Start Quiz when you are ready.`;
       this.questionElement.classList.remove('hidden');
       this.questionElement.setAttribute('aria-hidden', 'false');
     }
@@ -217,9 +600,16 @@ class QuizView {
   hideQuizRowsUntilStart() {
     if (!this.rightPaneElement) this.rightPaneElement = document.querySelector('.right-pane');
     if (!this.rightPaneElement) return;
-    const rowsToHide = this.rightPaneElement.querySelectorAll('.row-2, .row-3, .row-4');
+    const rowsToHide = this.rightPaneElement.querySelectorAll('.row-media, .row-2, .row-3, .row-4');
     rowsToHide.forEach(row => { row.classList.add('hidden'); row.setAttribute('aria-hidden', 'true'); });
+    if (this.questionMediaElement) this.questionMediaElement.textContent = '';
+    const badge = document.getElementById('questionCategory');
+    if (badge) badge.classList.add('hidden');
+    this.hideCountdown();
     this.toggleAnswerButtons(true, true);
+    this.hideResults();
+    this.hideDailyShare();
+    this.hideTurnIndicator();
     if (this.nextQuestionButton) { this.nextQuestionButton.classList.add('hidden'); this.nextQuestionButton.disabled = true; this.nextQuestionButton.setAttribute('aria-hidden','true'); }
     if (this.feedbackElement) this.feedbackElement.textContent = '';
   }
@@ -259,11 +649,17 @@ class QuizView {
   // Disable interactive controls during an active quiz so the player can't change
   // the difficulty, switch modes, or pick a different country mid-quiz.
   disableGameControls() {
-    // Difficulty selector
+    // Difficulty and region selectors
     const selector = document.getElementById('difficulty-select');
     if (selector) selector.disabled = true;
+    const regionSelector = document.getElementById('region-select');
+    if (regionSelector) regionSelector.disabled = true;
+    const timedToggle = document.getElementById('timed-mode');
+    if (timedToggle) timedToggle.disabled = true;
+    const setupPanel = document.querySelector('.setup-panel');
+    if (setupPanel) setupPanel.disabled = true;
 
-    // Mode buttons (population/currency/languages)
+    // Mode buttons (population/currency/languages/capital/flags/region/compare/timezones)
     const modeButtons = document.querySelectorAll('button[data-type]');
     modeButtons.forEach(btn => { btn.disabled = true; });
 
@@ -291,6 +687,12 @@ class QuizView {
   enableGameControls() {
     const selector = document.getElementById('difficulty-select');
     if (selector) selector.disabled = false;
+    const regionSelector = document.getElementById('region-select');
+    if (regionSelector) regionSelector.disabled = false;
+    const timedToggle = document.getElementById('timed-mode');
+    if (timedToggle) timedToggle.disabled = false;
+    const setupPanel = document.querySelector('.setup-panel');
+    if (setupPanel) setupPanel.disabled = false;
 
     const modeButtons = document.querySelectorAll('button[data-type]');
     modeButtons.forEach(btn => { btn.disabled = false; });
@@ -342,24 +744,39 @@ class QuizView {
   renderQuestion(questionData, questionIndex, totalQuestions) {
     if (!questionData) { this.setFeedback('No question available', false); return; }
     const questionNumber = questionIndex + 1;
+    // endless runs (e.g. higher-or-lower) have no fixed total
+    const isEndless = !Number.isFinite(totalQuestions);
     if (this.questionElement) {
-      this.questionElement.textContent = `Question ${questionNumber} of ${totalQuestions}: ${questionData.question}`;
+      this.questionElement.textContent = isEndless ? `Question ${questionNumber}: ${questionData.question}` : `Question ${questionNumber} of ${totalQuestions}: ${questionData.question}`;
       // Focus the updated question so screen readers will announce the new content
       try { this.questionElement.focus(); } catch (e) { /* ignore */ }
     }
+    this.renderQuestionCategory(questionData.type);
+    this.renderQuestionMedia(questionData.image);
+    this.isMultiSelect = Boolean(questionData.multiSelect);
+    const optionList = document.getElementById('options');
+    if (optionList) optionList.setAttribute('aria-multiselectable', this.isMultiSelect ? 'true' : 'false');
+    this.setSubmitButtonVisible(this.isMultiSelect);
     this.answerButtons.forEach((button, index) => {
       const option = questionData.options[index];
       if (option) {
-        button.textContent = option.label;
+        if (option.image) {
+          this.renderImage(button, option.image, 'Loading flag...');
+        } else {
+          button.textContent = option.label;
+          button.classList.remove('image-loading', 'image-failed');
+        }
+        button.classList.toggle('answer-option--image', Boolean(option.image));
         button.dataset.optionIndex = index.toString();
         button.classList.remove('hidden','correct','incorrect','selected');
         button.disabled = false;
-        // Announce option content for assistive tech
-        button.setAttribute('aria-label', `Option ${index + 1}: ${option.label}`);
+        // Announce option content for assistive tech (image options are described by their alt text)
+        button.setAttribute('aria-label', `Option ${index + 1}: ${option.image ? option.image.alt : option.label}`);
         button.setAttribute('aria-selected', 'false');
         button.setAttribute('aria-disabled', 'false');
       } else {
         button.textContent = '';
+        button.classList.remove('image-loading', 'image-failed');
         button.classList.add('hidden');
         button.disabled = true;
         button.setAttribute('aria-disabled', 'true');
@@ -374,7 +791,132 @@ class QuizView {
     }
   }
 
+  /**
+   * Once a question is answered, name the country of every flag image option, since flag
+   * descriptions alone may not tell them apart. Correct and picked options get their own labels.
+   * @param {Object} questionData
+   * @param {string[]} [labels] - option labels, for room questions whose image options arrive
+   *   without them (the server sends them with the reveal)
+   */
+  labelAnsweredImageOptions(questionData, labels) {
+    if (!questionData || !questionData.options.some(option => option.image)) return;
+    const names = labels || questionData.options.map(option => option.label);
+    this.answerButtons.forEach((button, index) => {
+      if (questionData.options[index]) button.setAttribute('aria-label', `Flag of ${names[index]}.`);
+    });
+  }
+
+  renderQuestionCategory(type) {
+    const badge = document.getElementById('questionCategory');
+    if (!badge) return;
+    badge.textContent = QUESTION_CATEGORY_LABELS[type] || this.capitalize(type);
+    badge.style.backgroundColor = this.getModeColor(type);
+    badge.classList.toggle('hidden', !type);
+  }
+
+  // Show the question's prompt image (e.g. a flag), or hide the media row when there is none
+  renderQuestionMedia(image) {
+    if (!this.questionMediaElement) return;
+    const mediaRow = this.questionMediaElement.closest('.row');
+    if (!image || !image.src) {
+      this.questionMediaElement.textContent = '';
+      if (mediaRow) { mediaRow.classList.add('hidden'); mediaRow.setAttribute('aria-hidden', 'true'); }
+      return;
+    }
+    this.renderImage(this.questionMediaElement, image, 'Loading flag...');
+    if (mediaRow) { mediaRow.classList.remove('hidden'); mediaRow.setAttribute('aria-hidden', 'false'); }
+  }
+
+  /**
+   * Render an image into a host element without ever leaving it blank: a placeholder is shown
+   * until the image loads, and if it fails the alt text is kept in its place.
+   */
+  renderImage(host, image, placeholderText) {
+    host.textContent = '';
+    host.classList.add('image-loading');
+    host.classList.remove('image-failed');
+    const placeholder = document.createElement('span');
+    placeholder.className = 'image-placeholder';
+    placeholder.textContent = placeholderText;
+    const img = document.createElement('img');
+    img.className = 'flag-image';
+    img.alt = image.alt || '';
+    img.addEventListener('load', () => {
+      host.classList.remove('image-loading');
+      placeholder.remove();
+    });
+    img.addEventListener('error', () => {
+      host.classList.remove('image-loading');
+      host.classList.add('image-failed');
+      placeholder.textContent = image.alt || 'Image unavailable';
+      img.remove();
+    });
+    host.append(placeholder, img);
+    img.src = image.src;
+  }
+
+  // Warm the browser cache for every image in a question set so later questions render immediately
+  preloadQuestionImages(questions) {
+    if (!Array.isArray(questions)) return;
+    questions.forEach(question => {
+      const images = [question?.image, ...(question?.options || []).map(option => option.image)];
+      images.forEach(image => {
+        if (!image || !image.src) return;
+        const preload = new Image();
+        preload.src = image.src;
+      });
+    });
+  }
+
+  /**
+   * Show a per-question countdown. Screen readers hear the starting time, the COUNTDOWN_ANNOUNCE_AT
+   * marks and "Time's up"; when it runs out a view:answer-selected event with selectedIndex -1 and
+   * timedOut: true is emitted, so a timeout is handled exactly like a wrong answer.
+   */
+  startCountdown(seconds) {
+    this.stopCountdown();
+    const timerElement = document.getElementById('questionTimer');
+    const announcer = document.getElementById('timerAnnouncement');
+    const timerRow = timerElement ? timerElement.closest('.row') : null;
+    if (timerRow) { timerRow.classList.remove('hidden'); timerRow.setAttribute('aria-hidden', 'false'); }
+    let remaining = seconds;
+    const render = () => {
+      if (timerElement) {
+        timerElement.textContent = `${remaining}s left`;
+        timerElement.classList.toggle('question-timer--urgent', remaining <= COUNTDOWN_URGENT_SECONDS);
+      }
+    };
+    render();
+    if (announcer) announcer.textContent = `${seconds} seconds to answer.`;
+    this.countdownTimerId = setInterval(() => {
+      remaining -= 1;
+      render();
+      if (remaining > 0) {
+        if (announcer && COUNTDOWN_ANNOUNCE_AT.includes(remaining)) announcer.textContent = `${remaining} seconds left.`;
+        return;
+      }
+      this.stopCountdown();
+      if (announcer) announcer.textContent = "Time's up!";
+      document.dispatchEvent(new CustomEvent('view:answer-selected', { detail: { selectedIndex: -1, timedOut: true } }));
+    }, 1000);
+  }
+
+  stopCountdown() {
+    if (this.countdownTimerId) {
+      clearInterval(this.countdownTimerId);
+      this.countdownTimerId = null;
+    }
+  }
+
+  hideCountdown() {
+    this.stopCountdown();
+    const timerElement = document.getElementById('questionTimer');
+    const timerRow = timerElement ? timerElement.closest('.row') : null;
+    if (timerRow) { timerRow.classList.add('hidden'); timerRow.setAttribute('aria-hidden', 'true'); }
+  }
+
   toggleAnswerButtons(disable, clearText) {
+    if (disable) this.setSubmitButtonVisible(false);
     this.answerButtons.forEach(button => {
       button.disabled = disable;
       button.classList.remove('correct','incorrect','selected');
@@ -396,11 +938,110 @@ class QuizView {
     else if (status === false) this.feedbackElement.classList.add('feedback--incorrect');
   }
 
-  // Score helpers that directly update simple DOM spans
+  /**
+   * Render the end-of-quiz breakdown below the last question. The retry button is only shown
+   * when something was missed.
+   * @param {Array<{question: string, country: string, yourAnswer: string, correctAnswer: string,
+   * correct: boolean, explanation: string, flag: ?{src: string, alt: string},
+   * playerAnswers: ?Array<{name: string, answer: string, correct: boolean}>}>} entries - playerAnswers
+   * replaces yourAnswer in hot-seat quizzes
+   * @param {string} [challengeOutcome] - "score to beat" line when a challenge link was played
+   */
+  renderResults(entries, challengeOutcome = '') {
+    const section = document.getElementById('quizResults');
+    const list = document.getElementById('quizResultsList');
+    const retryButton = document.getElementById('retryMissedBtn');
+    const challengeLine = document.getElementById('quizResultsChallenge');
+    if (!section || !list) return;
+    if (challengeLine) {
+      challengeLine.textContent = challengeOutcome;
+      challengeLine.classList.toggle('hidden', !challengeOutcome);
+    }
+    this.setChallengeLink('');
+    list.textContent = '';
+    (entries || []).forEach(entry => {
+      const item = document.createElement('li');
+      item.className = `quiz-result ${entry.correct ? 'quiz-result--correct' : 'quiz-result--incorrect'}`;
+      const flag = document.createElement('span');
+      flag.className = 'quiz-result__flag';
+      if (entry.flag) this.renderImage(flag, entry.flag, entry.country);
+      const details = document.createElement('div');
+      const question = document.createElement('p');
+      question.className = 'quiz-result__question';
+      question.textContent = entry.question;
+      const answer = document.createElement('p');
+      if (entry.playerAnswers) {
+        const given = entry.playerAnswers.map(item => `${item.name}: ${item.answer}${item.correct ? ' (correct)' : ''}`).join(' · ');
+        answer.textContent = `${given}. Correct answer: ${entry.correctAnswer}`;
+      } else {
+        answer.textContent = entry.correct
+          ? `Your answer: ${entry.yourAnswer} (correct)`
+          : `Your answer: ${entry.yourAnswer}. Correct answer: ${entry.correctAnswer}`;
+      }
+      const explanation = document.createElement('p');
+      explanation.className = 'quiz-result__explanation';
+      explanation.textContent = entry.explanation;
+      details.append(question, answer, explanation);
+      item.append(flag, details);
+      list.appendChild(item);
+    });
+    const missedCount = (entries || []).filter(entry => !entry.correct).length;
+    if (retryButton) {
+      retryButton.textContent = `Retry ${missedCount} missed question${missedCount === 1 ? '' : 's'}`;
+      retryButton.classList.toggle('hidden', missedCount === 0);
+      retryButton.setAttribute('aria-hidden', missedCount === 0 ? 'true' : 'false');
+    }
+    section.classList.remove('hidden');
+    section.setAttribute('aria-hidden', 'false');
+  }
+
+  hideResults() {
+    const section = document.getElementById('quizResults');
+    if (!section) return;
+    section.classList.add('hidden');
+    section.setAttribute('aria-hidden', 'true');
+  }
+
+  /**
+   * Render the personal-bests table.
+   * @param {Array<{mode: string, difficulty: string, correct: number, total: number, date: string}>} bests
+   * @param {number} playedCount - number of quizzes in the history
+   */
+  renderHistory(bests, playedCount) {
+    const table = document.getElementById('historyTable');
+    const body = document.getElementById('historyBody');
+    const emptyMessage = document.getElementById('historyEmpty');
+    const played = document.getElementById('historyPlayed');
+    if (!table || !body) return;
+    body.textContent = '';
+    (bests || []).forEach(best => {
+      const row = document.createElement('tr');
+      const percentage = best.total ? Math.round((best.correct / best.total) * 100) : 0;
+      const date = new Date(best.date);
+      [
+        this.capitalize(best.mode),
+        this.capitalize(best.difficulty),
+        `${best.correct}/${best.total} (${percentage}%)`,
+        Number.isNaN(date.getTime()) ? '' : date.toLocaleDateString()
+      ].forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      row.style.color = this.getModeColor(best.mode);
+      body.appendChild(row);
+    });
+    const hasBests = body.children.length > 0;
+    table.classList.toggle('hidden', !hasBests);
+    if (emptyMessage) emptyMessage.classList.toggle('hidden', hasBests);
+    if (played) played.textContent = playedCount ? `Quizzes played: ${playedCount}` : '';
+  }
+
+  // Score display: render-only, the totals come from the model's quiz:score-changed event
   setScoreValue(elementId, value) { const el = document.getElementById(elementId); if (!el) return; el.textContent = String(value); }
-  getScoreValue(elementId) { const el = document.getElementById(elementId); if (!el) return 0; const parsed = parseInt(el.textContent, 10); return Number.isNaN(parsed) ? 0 : parsed; }
-  incrementScore() { const current = this.getScoreValue('score'); this.setScoreValue('score', current + 1); }
-  incrementWrongAnswer() { const current = this.getScoreValue('incorrect'); this.setScoreValue('incorrect', current + 1); }
+  renderScore(totals) { this.setScoreValue('score', totals?.score ?? 0); this.setScoreValue('incorrect', totals?.wrong ?? 0); }
+  // Hot-seat players each have a score in the turn indicator; the shared counters would add them up
+  setScoreAreaVisible(visible) { const area = document.querySelector('.score-area'); if (area) area.classList.toggle('hidden', !visible); }
 
 }
 
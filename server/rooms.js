@@ -0,0 +1,353 @@
+/**
+ * rooms.js
+ * Classroom rooms: a host creates a room, players join with its code, and the server runs the
+ * quiz. The question set is generated here by QuizEngine and only the question text and options
+ * are sent out; answers are checked, timed and scored on the server, so clients cannot peek at
+ * the correct answer or award themselves points.
+ *
+ * Client -> server messages: create-room, join-room, start-quiz (host only), answer.
+ * Server -> client messages: room-joined, lobby, question, answer-received, reveal,
+ * quiz-finished, room-closed, error.
+ */
+
+const crypto = require('crypto');
+const { MIXABLE_QUESTION_TYPES } = require('../assets/js/model.js');
+
+// Room codes avoid I and O so they cannot be mistaken for 1 and 0 when read off a board
+const ROOM_CODE_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+const ROOM_CODE_LENGTH = 4;
+const MAX_PLAYERS_PER_ROOM = 40;
+const PLAYER_NAME_MAX_LENGTH = 16;
+const QUESTION_TIME_LIMIT_SECONDS = 20;
+// Pause on the revealed answer before the next question
+const REVEAL_SECONDS = 5;
+// A correct answer scores the base points plus a bonus that shrinks as the time runs out
+const CORRECT_ANSWER_POINTS = 500;
+const SPEED_BONUS_POINTS = 500;
+const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard'];
+// Rooms play fixed-length sets, so endless (compare) and per-player (review, daily) modes are out
+const ROOM_QUESTION_TYPES = MIXABLE_QUESTION_TYPES;
+const DEFAULT_ROOM_SETTINGS = { types: ['population', 'currency', 'languages'], difficulty: 'easy', length: 10, region: null, direction: 'forward' };
+const MIN_QUIZ_LENGTH = 5;
+const MAX_QUIZ_LENGTH = 50;
+
+class Room {
+  /**
+   * @param {string} code
+   * @param {Object} host - { id, name, connection }
+   * @param {Object} settings - from sanitizeSettings()
+   * @param {QuizEngine} engine - this room's engine, with countries loaded
+   */
+  constructor(code, host, settings, engine) {
+    this.code = code;
+    this.host = host;
+    this.settings = settings;
+    this.engine = engine;
+    // players answering questions; the host runs the room and does not play
+    this.players = new Map();
+    // 'lobby' | 'question' | 'reveal' | 'finished'
+    this.phase = 'lobby';
+    this.questions = [];
+    this.questionIndex = -1;
+    this.questionStartedAt = 0;
+    // playerId -> { selectedIndices, answeredAt } for the current question
+    this.answers = new Map();
+    this.timer = null;
+  }
+
+  addPlayer(player) {
+    this.players.set(player.id, { ...player, score: 0 });
+    this.broadcastLobby();
+  }
+
+  removePlayer(playerId) {
+    if (!this.players.delete(playerId)) return;
+    this.broadcastLobby();
+    // the quiz should not wait on someone who has left
+    if (this.phase === 'question' && this.haveAllPlayersAnswered()) this.revealAnswer();
+  }
+
+  getStandings() {
+    return Array.from(this.players.values())
+      .map(player => ({ id: player.id, name: player.name, score: player.score }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  broadcast(message) {
+    this.host.connection.send(message);
+    this.players.forEach(player => player.connection.send(message));
+  }
+
+  broadcastLobby() {
+    this.broadcast({ type: 'lobby', code: this.code, phase: this.phase, host: this.host.name, players: this.getStandings() });
+  }
+
+  /**
+   * Generate a fresh question set with the room's settings and ask the first question.
+   * @returns {string|null} an error message when the quiz cannot start
+   */
+  start() {
+    if (this.phase === 'question' || this.phase === 'reveal') return 'The quiz is already running.';
+    if (this.players.size === 0) return 'Wait for at least one player to join.';
+    const { types, difficulty, length, region, direction } = this.settings;
+    this.engine.reseed();
+    this.engine.setDifficulty(difficulty, false);
+    this.engine.setRegion(region, false);
+    this.engine.setQuestionDirection(direction);
+    this.engine.populateCountryPool();
+    this.questions = types.length > 1
+      ? this.engine.generateMixedQuestionSet(types, length)
+      : this.engine.generateQuestionSet(types[0], length);
+    if (this.questions.length === 0) return 'Not enough data to create questions with these settings.';
+    this.players.forEach(player => { player.score = 0; });
+    this.questionIndex = -1;
+    this.askNextQuestion();
+    return null;
+  }
+
+  askNextQuestion() {
+    this.questionIndex += 1;
+    if (this.questionIndex >= this.questions.length) { this.finish(); return; }
+    const q = this.questions[this.questionIndex];
+    this.phase = 'question';
+    this.answers = new Map();
+    this.questionStartedAt = Date.now();
+    this.broadcast({
+      type: 'question',
+      index: this.questionIndex,
+      total: this.questions.length,
+      timeLimitSeconds: QUESTION_TIME_LIMIT_SECONDS,
+      // everything needed to show the question, and nothing that gives the answer away: the
+      // label of an image option names its country, so those labels wait for the reveal
+      question: {
+        type: q.type,
+        question: q.question,
+        image: q.image || null,
+        multiSelect: Boolean(q.multiSelect),
+        options: q.options.map(option => (option.image ? { label: null, image: option.image } : { label: option.label, image: null }))
+      }
+    });
+    this.setTimer(QUESTION_TIME_LIMIT_SECONDS, () => this.revealAnswer());
+  }
+
+  /**
+   * Record a player's answer to the current question. Only the first answer counts.
+   * @returns {string|null} an error message when the answer is not accepted
+   */
+  receiveAnswer(playerId, { index, selectedIndices }) {
+    if (!this.players.has(playerId)) return 'Only players can answer.';
+    if (this.phase !== 'question' || index !== this.questionIndex) return 'That question is closed.';
+    if (this.answers.has(playerId)) return null;
+    const optionCount = this.questions[this.questionIndex].options.length;
+    const picks = Array.isArray(selectedIndices)
+      ? Array.from(new Set(selectedIndices.filter(choice => Number.isInteger(choice) && choice >= 0 && choice < optionCount)))
+      : [];
+    this.answers.set(playerId, { selectedIndices: picks, answeredAt: Date.now() });
+    this.players.get(playerId).connection.send({ type: 'answer-received', index });
+    if (this.haveAllPlayersAnswered()) this.revealAnswer();
+    return null;
+  }
+
+  haveAllPlayersAnswered() {
+    return Array.from(this.players.keys()).every(playerId => this.answers.has(playerId));
+  }
+
+  revealAnswer() {
+    if (this.phase !== 'question') return;
+    this.phase = 'reveal';
+    const q = this.questions[this.questionIndex];
+    const correctIndices = q.multiSelect ? q.correctIndices : [q.correctIndex];
+    const limitMs = QUESTION_TIME_LIMIT_SECONDS * 1000;
+    const results = Array.from(this.players.values()).map(player => {
+      const answer = this.answers.get(player.id);
+      const picks = answer ? answer.selectedIndices : [];
+      const correct = picks.length === correctIndices.length && correctIndices.every(choice => picks.includes(choice));
+      const timeLeftMs = answer ? Math.max(0, limitMs - (answer.answeredAt - this.questionStartedAt)) : 0;
+      const points = correct ? CORRECT_ANSWER_POINTS + Math.round(SPEED_BONUS_POINTS * timeLeftMs / limitMs) : 0;
+      player.score += points;
+      return { playerId: player.id, answered: Boolean(answer), selectedIndices: picks, correct, points };
+    });
+    this.broadcast({
+      type: 'reveal',
+      index: this.questionIndex,
+      correctIndices,
+      correctAnswerLabel: q.correctAnswerLabel || q.options[q.correctIndex]?.label,
+      optionLabels: q.options.map(option => option.label),
+      explanation: q.explanation || '',
+      results,
+      standings: this.getStandings()
+    });
+    this.setTimer(REVEAL_SECONDS, () => this.askNextQuestion());
+  }
+
+  finish() {
+    this.phase = 'finished';
+    this.clearTimer();
+    this.broadcast({ type: 'quiz-finished', standings: this.getStandings() });
+  }
+
+  close(reason) {
+    this.clearTimer();
+    this.phase = 'finished';
+    this.players.forEach(player => player.connection.send({ type: 'room-closed', message: reason }));
+  }
+
+  setTimer(seconds, callback) {
+    this.clearTimer();
+    this.timer = setTimeout(callback, seconds * 1000);
+  }
+
+  clearTimer() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+/**
+ * Routes messages from WebSocket connections to rooms.
+ */
+class RoomManager {
+  /**
+   * @param {Function} createEngine - async () => QuizEngine with countries loaded
+   */
+  constructor(createEngine) {
+    this.createEngine = createEngine;
+    this.rooms = new Map();
+  }
+
+  /**
+   * @param {WebSocketConnection} connection
+   */
+  handleConnection(connection) {
+    // isCreatingRoom covers the wait for a new room's engine, so a second create-room is refused
+    const client = { id: crypto.randomUUID(), connection, room: null, isCreatingRoom: false };
+    connection.on('message', message => {
+      this.handleMessage(client, message).catch(err => {
+        console.error('Room message failed:', err);
+        connection.send({ type: 'error', message: 'Something went wrong on the server.' });
+      });
+    });
+    connection.on('close', () => this.leaveRoom(client));
+  }
+
+  async handleMessage(client, message) {
+    const reply = text => client.connection.send({ type: 'error', message: text });
+    switch (message.type) {
+      case 'create-room': {
+        if (client.room || client.isCreatingRoom) { reply('You are already in a room.'); return; }
+        const unsupportedTypes = findUnsupportedTypes(message.settings);
+        if (unsupportedTypes.length > 0) {
+          reply(`Rooms cannot play ${unsupportedTypes.join(', ')} questions. Choose from: ${ROOM_QUESTION_TYPES.join(', ')}.`);
+          return;
+        }
+        const settings = sanitizeSettings(message.settings);
+        client.isCreatingRoom = true;
+        let engine = null;
+        try {
+          engine = await this.createEngine();
+        } finally {
+          client.isCreatingRoom = false;
+        }
+        // the host may have gone while the engine loaded; leaveRoom has nothing to clean up then
+        if (!client.connection.isOpen) return;
+        // flag images cannot load from an offline snapshot (see QuizEngine.hasFlagImages)
+        if (!engine.hasFlagImages()) settings.types = settings.types.filter(type => type !== 'flags');
+        if (settings.types.length === 0) { reply('Flag questions need an internet connection, so this server cannot run them.'); return; }
+        const code = this.createRoomCode();
+        const host = { id: client.id, name: sanitizeName(message.name, 'Host'), connection: client.connection };
+        const room = new Room(code, host, settings, engine);
+        this.rooms.set(code, room);
+        client.room = room;
+        client.connection.send({ type: 'room-joined', code, playerId: client.id, isHost: true, settings });
+        room.broadcastLobby();
+        return;
+      }
+      case 'join-room': {
+        if (client.room) { reply('You are already in a room.'); return; }
+        const room = this.rooms.get(String(message.code || '').trim().toUpperCase());
+        if (!room) { reply('No room with that code. Check it with your host.'); return; }
+        if (room.phase === 'question' || room.phase === 'reveal') { reply('That quiz has already started.'); return; }
+        if (room.players.size >= MAX_PLAYERS_PER_ROOM) { reply('That room is full.'); return; }
+        const takenNames = new Set(Array.from(room.players.values()).map(player => player.name));
+        const name = makeUniqueName(sanitizeName(message.name, `Player ${room.players.size + 1}`), takenNames);
+        client.room = room;
+        client.connection.send({ type: 'room-joined', code: room.code, playerId: client.id, isHost: false, settings: room.settings });
+        room.addPlayer({ id: client.id, name, connection: client.connection });
+        return;
+      }
+      case 'start-quiz': {
+        if (!client.room || client.room.host.id !== client.id) { reply('Only the host can start the quiz.'); return; }
+        const error = client.room.start();
+        if (error) reply(error);
+        return;
+      }
+      case 'answer': {
+        if (!client.room) { reply('Join a room first.'); return; }
+        const error = client.room.receiveAnswer(client.id, message);
+        if (error) reply(error);
+        return;
+      }
+      default:
+        reply(`Unknown message type "${message.type}".`);
+    }
+  }
+
+  // The room closes when its host leaves; a player leaving just drops out of the standings
+  leaveRoom(client) {
+    const room = client.room;
+    if (!room) return;
+    client.room = null;
+    if (room.host.id === client.id) {
+      room.close('The host has closed the room.');
+      this.rooms.delete(room.code);
+      return;
+    }
+    room.removePlayer(client.id);
+  }
+
+  createRoomCode() {
+    let code = '';
+    do {
+      code = Array.from({ length: ROOM_CODE_LENGTH }, () => ROOM_CODE_LETTERS[crypto.randomInt(ROOM_CODE_LETTERS.length)]).join('');
+    } while (this.rooms.has(code));
+    return code;
+  }
+}
+
+function sanitizeName(name, fallback) {
+  const trimmed = String(name || '').replace(/\s+/g, ' ').trim().slice(0, PLAYER_NAME_MAX_LENGTH);
+  return trimmed || fallback;
+}
+
+// Two students called "Sam" become "Sam" and "Sam 2"
+function makeUniqueName(name, takenNames) {
+  if (!takenNames.has(name)) return name;
+  let suffix = 2;
+  while (takenNames.has(`${name} ${suffix}`)) suffix += 1;
+  return `${name} ${suffix}`;
+}
+
+// Requested question types a room cannot play
+function findUnsupportedTypes(settings) {
+  const types = settings && Array.isArray(settings.types) ? settings.types : [];
+  return types.filter(type => !ROOM_QUESTION_TYPES.includes(type)).map(String);
+}
+
+/**
+ * Settings sent by the host, with anything unknown replaced by the defaults. The engine checks
+ * region and direction again when the set is generated.
+ */
+function sanitizeSettings(rawSettings) {
+  const settings = rawSettings && typeof rawSettings === 'object' ? rawSettings : {};
+  const types = Array.isArray(settings.types) ? settings.types.filter(type => ROOM_QUESTION_TYPES.includes(type)) : [];
+  const length = Math.round(Number(settings.length));
+  return {
+    types: types.length > 0 ? Array.from(new Set(types)) : DEFAULT_ROOM_SETTINGS.types,
+    difficulty: DIFFICULTY_LEVELS.includes(settings.difficulty) ? settings.difficulty : DEFAULT_ROOM_SETTINGS.difficulty,
+    length: Number.isFinite(length) ? Math.min(MAX_QUIZ_LENGTH, Math.max(MIN_QUIZ_LENGTH, length)) : DEFAULT_ROOM_SETTINGS.length,
+    region: typeof settings.region === 'string' ? settings.region : DEFAULT_ROOM_SETTINGS.region,
+    direction: typeof settings.direction === 'string' ? settings.direction : DEFAULT_ROOM_SETTINGS.direction
+  };
+}
+
+module.exports = { RoomManager, Room };
@@ -0,0 +1,128 @@
+/**
+ * server.js
+ * Local server for classroom multiplayer: serves the app and runs quiz rooms over WebSocket at
+ * /rooms. Uses only Node's built-in modules, so there is nothing to install:
+ *
+ *   node server/server.js [port]
+ *
+ * then open http://<this machine's address>:<port>/ on the host's and the players' browsers.
+ * Country data comes from the bundled snapshot in assets/data, so rooms run without internet
+ * access. As with the snapshot in solo play, flag questions are left out: their images live on
+ * flagcdn.com.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { QuizEngine } = require('../assets/js/model.js');
+const { acceptWebSocket } = require('./websocket.js');
+const { RoomManager } = require('./rooms.js');
+
+const DEFAULT_PORT = 8080;
+const ROOMS_PATH = '/rooms';
+const APP_ROOT = path.resolve(__dirname, '..');
+const COUNTRIES_FILE = path.join(APP_ROOT, 'assets', 'data', 'countries.json');
+// Only the app itself is served: requests outside these (e.g. server/ or .git/) get a 404
+const PUBLIC_PATHS = ['/index.html', '/favicon.ico', '/assets/'];
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.webmanifest': 'application/manifest+json'
+};
+
+/**
+ * Data source (same shape as the browser's, see model.js) reading REST Countries records from a
+ * JSON file. The file is read once and shared by every room.
+ * @param {string} filePath
+ * @param {string} [name='file'] - source name; 'bundled' marks the app's own offline snapshot
+ */
+function createFileDataSource(filePath, name = 'file') {
+  let records = null;
+  return {
+    name,
+    filePath,
+    async load() {
+      if (!records) records = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+      return records;
+    }
+  };
+}
+
+const countriesSource = createFileDataSource(COUNTRIES_FILE, 'bundled');
+
+// Each room gets its own engine (seed and settings), all loading from the same file
+async function createRoomEngine() {
+  const engine = new QuizEngine({ dataSources: [countriesSource], cache: null });
+  await engine.loadCountries();
+  return engine;
+}
+
+function sendNotFound(response) {
+  response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+  response.end('Not found');
+}
+
+function serveStaticFile(request, response) {
+  let requestPath = null;
+  try {
+    requestPath = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+  } catch (err) {
+    sendNotFound(response);
+    return;
+  }
+  // normalized before the checks, so "/assets/..%2fserver/..." cannot climb out of assets/
+  const publicPath = path.posix.normalize(requestPath === '/' ? '/index.html' : requestPath);
+  const filePath = path.join(APP_ROOT, publicPath);
+  const isPublic = PUBLIC_PATHS.some(prefix => publicPath === prefix || (prefix.endsWith('/') && publicPath.startsWith(prefix)));
+  if (!isPublic || !filePath.startsWith(APP_ROOT + path.sep) || request.method !== 'GET') {
+    sendNotFound(response);
+    return;
+  }
+  fs.readFile(filePath, (err, contents) => {
+    if (err) {
+      sendNotFound(response);
+      return;
+    }
+    response.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream' });
+    response.end(contents);
+  });
+}
+
+function startServer(port = DEFAULT_PORT) {
+  const rooms = new RoomManager(createRoomEngine);
+  const server = http.createServer(serveStaticFile);
+  server.on('upgrade', (request, socket) => {
+    // a client that resets mid-handshake must not take the server down with it
+    socket.on('error', () => socket.destroy());
+    let upgradePath = null;
+    try {
+      upgradePath = new URL(request.url, 'http://localhost').pathname;
+    } catch (err) {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+    if (upgradePath !== ROOMS_PATH) {
+      socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+      return;
+    }
+    const connection = acceptWebSocket(request, socket);
+    if (connection) rooms.handleConnection(connection);
+  });
+  server.listen(port, () => {
+    console.log(`World Quiz server running at http://localhost:${port}/ (rooms at ws://localhost:${port}${ROOMS_PATH})`);
+  });
+  return server;
+}
+
+if (require.main === module) {
+  const port = Number(process.argv[2]) || Number(process.env.PORT) || DEFAULT_PORT;
+  startServer(port);
+}
+
+module.exports = { startServer, createFileDataSource };
@@ -0,0 +1,168 @@
+/**
+ * websocket.js
+ * Minimal WebSocket (RFC 6455) support on top of Node's http server, using only built-in modules.
+ * Handles the upgrade handshake, unfragmented and fragmented text frames, ping/pong and close;
+ * binary messages are not used by the game and are rejected. Messages are JSON objects.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Fixed GUID from RFC 6455, appended to the client key to prove the server speaks WebSocket
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xA };
+// Messages from clients are small (answers, names); anything bigger is treated as abuse
+const MAX_MESSAGE_BYTES = 64 * 1024;
+const CLOSE_CODES = { normal: 1000, unsupportedData: 1003, tooBig: 1009 };
+
+/**
+ * One client connection. Emits 'message' (parsed JSON object) and 'close'.
+ */
+class WebSocketConnection extends EventEmitter {
+  constructor(socket) {
+    super();
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+    // payloads of a fragmented message received so far
+    this.fragments = [];
+    this.isOpen = true;
+    socket.on('data', chunk => this.receive(chunk));
+    // http servers keep sockets half-open, so a client going away only shows up as 'end'
+    socket.on('end', () => { socket.end(); this.handleClosed(); });
+    socket.on('close', () => this.handleClosed());
+    socket.on('error', () => this.handleClosed());
+  }
+
+  /**
+   * Send a JSON message; ignored once the connection is closed.
+   * @param {Object} message
+   */
+  send(message) {
+    if (!this.isOpen) return;
+    this.socket.write(encodeFrame(OPCODES.text, Buffer.from(JSON.stringify(message))));
+  }
+
+  close(code = CLOSE_CODES.normal) {
+    if (!this.isOpen) return;
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    this.socket.write(encodeFrame(OPCODES.close, payload));
+    this.socket.end();
+    this.handleClosed();
+  }
+
+  handleClosed() {
+    if (!this.isOpen) return;
+    this.isOpen = false;
+    this.emit('close');
+  }
+
+  receive(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    let frame = decodeFrame(this.buffer);
+    while (frame && this.isOpen) {
+      if (frame.tooBig) { this.close(CLOSE_CODES.tooBig); return; }
+      this.buffer = this.buffer.subarray(frame.length);
+      this.handleFrame(frame);
+      frame = decodeFrame(this.buffer);
+    }
+  }
+
+  handleFrame({ fin, opcode, payload }) {
+    if (opcode === OPCODES.ping) { this.socket.write(encodeFrame(OPCODES.pong, payload)); return; }
+    if (opcode === OPCODES.pong) return;
+    if (opcode === OPCODES.close) { this.close(); return; }
+    if (opcode === OPCODES.binary) { this.close(CLOSE_CODES.unsupportedData); return; }
+    this.fragments.push(payload);
+    if (this.fragments.reduce((total, part) => total + part.length, 0) > MAX_MESSAGE_BYTES) { this.close(CLOSE_CODES.tooBig); return; }
+    if (!fin) return;
+    const text = Buffer.concat(this.fragments).toString('utf8');
+    this.fragments = [];
+    let message = null;
+    try {
+      message = JSON.parse(text);
+    } catch (err) {
+      return;
+    }
+    if (message && typeof message === 'object') this.emit('message', message);
+  }
+}
+
+// Server-to-client frames are never masked and never fragmented
+function encodeFrame(opcode, payload) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Read one frame from the start of the buffer.
+ * @returns {{fin: boolean, opcode: number, payload: Buffer, length: number}|{tooBig: true}|null}
+ * null until the whole frame has arrived; `length` is the number of bytes it used
+ */
+function decodeFrame(buffer) {
+  if (buffer.length < 2) return null;
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0F;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let payloadLength = buffer[1] & 0x7F;
+  let offset = 2;
+  if (payloadLength === 126) {
+    if (buffer.length < 4) return null;
+    payloadLength = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (payloadLength === 127) {
+    if (buffer.length < 10) return null;
+    const longLength = buffer.readBigUInt64BE(2);
+    if (longLength > BigInt(MAX_MESSAGE_BYTES)) return { tooBig: true };
+    payloadLength = Number(longLength);
+    offset = 10;
+  }
+  if (payloadLength > MAX_MESSAGE_BYTES) return { tooBig: true };
+  const maskLength = masked ? 4 : 0;
+  if (buffer.length < offset + maskLength + payloadLength) return null;
+  const mask = masked ? buffer.subarray(offset, offset + 4) : null;
+  const payload = Buffer.from(buffer.subarray(offset + maskLength, offset + maskLength + payloadLength));
+  if (mask) {
+    for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+  }
+  return { fin, opcode, payload, length: offset + maskLength + payloadLength };
+}
+
+/**
+ * Complete the upgrade handshake for an http 'upgrade' event.
+ * @returns {WebSocketConnection|null} null (and the socket is closed) when the request is not a valid WebSocket upgrade
+ */
+function acceptWebSocket(request, socket) {
+  const key = request.headers['sec-websocket-key'];
+  const isUpgrade = String(request.headers.upgrade || '').toLowerCase() === 'websocket';
+  if (!isUpgrade || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return null;
+  }
+  const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    ''
+  ].join('\r\n'));
+  socket.setNoDelay(true);
+  return new WebSocketConnection(socket);
+}
+
+module.exports = { acceptWebSocket, WebSocketConnection };